@@ -10,18 +10,60 @@
  *    selected.
  *  - Mouse scroll wheel resizes the series.
  *  - Y values for each series is shown on the upper right after on mouse over.
- *  - Automatic color choice from Protvis color bands.
+ *  - Automatic color choice from Protvis color bands, custom palettes or a
+ *    generator of distinct colors, for any number of series.
  *  - Interface to add and delete series one by one after initial creation.
+ *  - Streaming API to append points to a Series of a rendered MegaSeries.
+ *  - Follow-latest (live tail) mode keeping the focus on the newest data.
+ *  - Rolling retention (max points or max x span) for unbounded streams.
  *  - Support for onmousemove handler (slightly unfinished)
+ *  - Shape-preserving downsampling (LTTB) of the visible data to a few points
+ *    per pixel, configurable per chart and per Series.
+ *  - Min/max envelope rendering of Series when many points share a pixel.
+ *  - Multi-resolution aggregate pyramid per Series, so zooming and panning
+ *    only touch about as many points as there are pixels.
+ *  - Series backed by a {@link DataProvider}, fetching only the visible range
+ *    at the needed resolution.
+ *  - Optional Web Worker offload of data preparation (WorkerDataProvider).
+ *  - Columnar Float64Array storage of the Series data.
+ *  - Validation and normalization of the XY data (dates, date strings and
+ *    numeric strings), with errors reported through setErrorHandler().
+ *  - Time axis with calendar-aware ticks and two rows of labels for Date (or
+ *    epoch) x values.
+ *  - Pluggable formatters for the axis ticks, the legend values and the hover
+ *    readout, with locale-aware presets for SI units, bytes, percent and
+ *    currency.
+ *  - Dates shown in a configurable IANA time zone (or UTC) and locale,
+ *    independently of the time zone of the browser.
+ *  - Focus y axis fitted to the whole data, fitted to the visible window or
+ *    locked, with a smooth transition when it changes.
+ *  - Negative values, with areas filled toward a configurable baseline and a
+ *    zero line when the y axis spans zero.
+ *  - Linear, logarithmic, symmetric log and square root y scales.
+ *  - Multiple y axes on either side of the chart, each Series assigned to one
+ *    through its axis option.
+ *  - Per-series styles (colors, fill opacity, line width, dash pattern,
+ *    marker shape and area fill) in the focus panel, context panel and legend.
+ *  - Error bands (lower and upper bounds or a symmetric error per point)
+ *    shaded around the line and downsampled along with it.
+ *  - Annotation markers (flags labelled with their l field) on the focus
+ *    lines and ticks in the context panel, clustered when they crowd, with
+ *    callouts showing their title and description on hover or click.
+ *  - Annotations placed on the nearest sample, interpolated between samples,
+ *    or pinned to a fixed y value or the top of the panel.
+ *  - Chart-wide annotation layers of event lines and shaded x ranges, drawn
+ *    across the focus and context panels and shown or hidden per layer.
+ *  - Annotation editing mode: annotations are added by clicking or brushing
+ *    the focus panel, edited in place, dragged and deleted, with change
+ *    events reported through setAnnotationChangeHandler().
+ *  - Export and import of the annotations of the Series and the annotation
+ *    layers as JSON or CSV, with ISO timestamps.
  *
  * TODO(akiani)
  * Under development:
  *  - Adding handlers and interface to query the data based on x value.
- *  - Adding Formatters for ticks
- *  - Adding annotations visualization
  *  - Adding more configurable properties for appearance
  *  - Working on performance on Firefox
- *  - Adding configurable series specific options.
  *
  * Remarks:
  *   The time series is drawn using Protovis (http://vis.stanford.edu/protovis),
@@ -43,6 +85,97 @@
 MegaSeries = function(container) {
     this.container_ = container;
     this.series = [];
+    this.errorHandler_ = null;
+    // the last error reported, see getLastError().
+    this.lastError_ = null;
+    // chart-wide annotation layers, see addAnnotationLayer().
+    this.layers_ = [];
+    this.annotationChangeHandler_ = null;
+    // set by setFollowLatest(), setYFit() and setAnnotationEditing(),
+    // possibly before the first draw().
+    this.followLatest_ = false;
+    this.yFit_ = null;
+    this.annotationEditing_ = false;
+    // the open annotation editor, see openAnnotationEditor_().
+    this.editor_ = null;
+    // the line marks given dash patterns, see applyDashes_().
+    this.dashedMarks_ = [];
+    // the render scheduled by appendData() and the Series whose overviews
+    // it recomputes, see scheduleRender_().
+    this.renderFrame_ = null;
+    this.staleOverviews_ = [];
+};
+
+/**
+ * Error raised for invalid data or invalid use of {@link MegaSeries} and
+ * {@link Series}.
+ *
+ * @param {String}
+ *            message the description of the error.
+ * @constructor
+ * @extends {Error}
+ */
+MegaSeriesError = function(message) {
+    this.name = 'MegaSeriesError';
+    this.message = message;
+    this.stack = new Error(message).stack;
+};
+MegaSeriesError.prototype = Object.create(Error.prototype);
+MegaSeriesError.prototype.constructor = MegaSeriesError;
+
+/**
+ * Sets the function errors of this {@link MegaSeries} are reported to. Without
+ * one, the errors are thrown, except for failed fetches from a
+ * {@link DataProvider}, which are only kept for getLastError().
+ *
+ * @param {Function}
+ *            handler function called with the {@link MegaSeriesError}.
+ */
+MegaSeries.prototype.setErrorHandler = function(handler) {
+    this.errorHandler_ = handler;
+};
+
+/**
+ * Reports an error to the error handler, or throws it if there is none. Errors
+ * other than {@link MegaSeriesError} are always thrown.
+ *
+ * @param {Error}
+ *            error the error to report.
+ * @private
+ */
+MegaSeries.prototype.reportError_ = function(error) {
+    this.lastError_ = error;
+    if (this.errorHandler_ && error instanceof MegaSeriesError) {
+        this.errorHandler_(error);
+        return;
+    }
+    throw error;
+};
+
+/**
+ * Reports an error of an asynchronous fetch to the error handler. Without
+ * one, the error is only kept for getLastError(), as throwing it would leave
+ * a Promise rejected with nothing to catch it.
+ *
+ * @param {MegaSeriesError}
+ *            error the error to report.
+ * @private
+ */
+MegaSeries.prototype.reportAsyncError_ = function(error) {
+    this.lastError_ = error;
+    if (this.errorHandler_) {
+        this.errorHandler_(error);
+    }
+};
+
+/**
+ * Returns the last error reported by this {@link MegaSeries}, including failed
+ * fetches from a {@link DataProvider} when there is no error handler.
+ *
+ * @return {?MegaSeriesError} the error, null if there was none.
+ */
+MegaSeries.prototype.getLastError = function() {
+    return this.lastError_;
 };
 
 /**
@@ -58,10 +191,25 @@ MegaSeries = function(container) {
  * specified as explained inside the object.
  */
 MegaSeries.prototype.draw = function(config) {
-    // TODO(akiani): add error checking for data
+    if (!this.series.length) {
+        this.reportError_(new MegaSeriesError('There is no series to draw.'));
+        return;
+    }
+    for (var i = 0; i < this.series.length; i++) {
+        if (!this.series[i].getExtent()) {
+            this.reportError_(new MegaSeriesError(
+                    'Series "' + this.series[i].name + '" has no data.'));
+            return;
+        }
+    }
     config = this.setDefaults_(config);
-    if (this.series.length == 1) {
+    if (this.series.length == 1 || !this.config_) {
         this.config_ = this.configure_(config);
+    } else {
+        // the Series added since the last draw may need axes of their own.
+        this.updateAxes_(this.config_);
+        this.updateBounds_(this.config_);
+        MegaSeries.updateDomains_(this.config_);
     }
     this.drawVisualization_(this.config_);
 };
@@ -88,6 +236,123 @@ MegaSeries.prototype.setDefaults_ = function(config) {
     config.contextPanelHeight = config.contextPanelHeight || 50;
     config.focusPanelHeight = config.focusPanelHeight || 500;
 
+    // Kind of x axis, see MegaSeries.XAxis.
+    config.xAxis = config.xAxis || MegaSeries.XAxis.AUTO;
+
+    // Downsampling of the rendered data. Can be overridden per Series.
+    config.downsample = config.downsample || MegaSeries.Downsample.LTTB;
+    config.pointsPerPixel = config.pointsPerPixel || 2;
+
+    // Whether the focus selection sticks to the newest data. Turned off when
+    // the user moves the selection in the context panel.
+    config.followLatest = config.followLatest || this.followLatest_;
+
+    // How the focus y axis is fitted, see MegaSeries.YFit. In AUTO mode the
+    // visible range is padded by the yPadding fraction and rounded to nice
+    // bounds if yNice is set. Changes of the y axis are animated for
+    // yTransition milliseconds.
+    config.yFit = config.yFit || this.yFit_ || MegaSeries.YFit.FULL;
+    config.yPadding = config.yPadding == undefined ? .05 : config.yPadding;
+    config.yNice = config.yNice == undefined ? true : config.yNice;
+    config.yTransition =
+        config.yTransition == undefined ? 250 : config.yTransition;
+
+    // Value the areas are filled toward, see MegaSeries.Baseline, or a number.
+    config.baseline = config.baseline == undefined ?
+            MegaSeries.Baseline.ZERO : config.baseline;
+    if (typeof config.baseline != 'number' &&
+        config.baseline != MegaSeries.Baseline.ZERO &&
+        config.baseline != MegaSeries.Baseline.MIN) {
+        var baseline = config.baseline;
+        config.baseline = MegaSeries.Baseline.ZERO;
+        this.reportError_(
+                new MegaSeriesError('Invalid baseline "' + baseline + '".'));
+    }
+
+    // Options of the y axes by name, in the form of {side:, label:,
+    // formatter:}. Series are assigned to the 'left' axis unless their axis
+    // option names another one. The 'right' axis is on the right side, other
+    // axes are on the left side unless their side is 'right'.
+    config.axes = config.axes || {};
+
+    // Kind of y scale, see MegaSeries.YScale.
+    config.yScale = config.yScale || MegaSeries.YScale.LINEAR;
+    if (!MegaSeries.Y_SCALES_.hasOwnProperty(config.yScale)) {
+        var yScale = config.yScale;
+        config.yScale = MegaSeries.YScale.LINEAR;
+        this.reportError_(
+                new MegaSeriesError('Invalid y scale "' + yScale + '".'));
+    }
+
+    // Annotations closer than this many pixels share one marker.
+    config.annotationClusterWidth = config.annotationClusterWidth || 8;
+
+    // Whether annotations are created, edited, moved and deleted with the
+    // mouse, see setAnnotationEditing(). X ranges brushed in this mode are
+    // added to the annotation layer named annotationLayer.
+    config.annotationEditing = config.annotationEditing ||
+            this.annotationEditing_;
+    config.annotationLayer = config.annotationLayer || 'annotations';
+
+    // Retention for streamed data, in the form of {maxPoints:, maxSpan:}.
+    // The oldest points beyond either limit are dropped by appendData(),
+    // along with the annotations before the remaining data.
+    config.retention = config.retention || null;
+
+    // IANA time zone (e.g. 'Europe/Paris' or 'UTC') and BCP 47 locale of the
+    // dates on the time axis and in the readouts. The browser's own time zone
+    // and the Protovis date formats are used when neither is set. The locale
+    // also formats the numbers of the MegaSeries.Format presets, in US
+    // English when it is not set.
+    if (config.timeZone || config.locale) {
+        try {
+            new Intl.DateTimeFormat(config.locale, {timeZone: config.timeZone});
+        } catch (e) {
+            var given = [config.timeZone, config.locale].filter(Boolean);
+            config.timeZone = config.locale = undefined;
+            this.reportError_(new MegaSeriesError('Invalid time zone or ' +
+                    'locale "' + given.join('", "') + '".'));
+        }
+    }
+
+    // ISO 4217 code of the currency of the MegaSeries.Format.CURRENCY preset.
+    config.currency = config.currency || 'USD';
+    try {
+        new Intl.NumberFormat(undefined,
+                {style: 'currency', currency: config.currency});
+    } catch (e) {
+        var currency = config.currency;
+        config.currency = 'USD';
+        this.reportError_(
+                new MegaSeriesError('Invalid currency "' + currency + '".'));
+    }
+
+    // Formatters of the tick labels, the legend values and the hover
+    // readout, either functions or names from MegaSeries.Format.
+    var formatters = config.formatters || {};
+    config.formatters = {};
+    var names = ['xTick', 'yTick', 'legendValue', 'tooltip'];
+    for (var i = 0; i < names.length; i++) {
+        try {
+            config.formatters[names[i]] =
+                MegaSeries.getFormatter_(formatters[names[i]], config);
+        } catch (e) {
+            this.reportError_(e);
+        }
+    }
+
+    // Colors of the Series without a strokeColor option, see
+    // MegaSeries.Palette. An array of colors or a function from the index of
+    // a Series to its color can be given instead.
+    config.palette = config.palette || MegaSeries.Palette.CATEGORY10;
+    try {
+        config.paletteColor = MegaSeries.getPalette_(config.palette);
+    } catch (e) {
+        config.paletteColor =
+            MegaSeries.getPalette_(MegaSeries.Palette.CATEGORY10);
+        this.reportError_(e);
+    }
+
     config.colors = config.colors || {};
 
     // Default colors.
@@ -101,6 +366,10 @@ MegaSeries.prototype.setDefaults_ = function(config) {
       colors.focusSelectBox || defaultColors.FOCUS_SELECTBOX_COLOR;
     colors.contextSelectBox =
       colors.contextSelectBox || defaultColors.CONTEXT_SELECTBOX_COLOR;
+    colors.zeroLine = colors.zeroLine || defaultColors.ZERO_LINE_COLOR;
+    colors.callout = colors.callout || defaultColors.CALLOUT_COLOR;
+    colors.calloutBorder =
+      colors.calloutBorder || defaultColors.CALLOUT_BORDER_COLOR;
     return config;
 };
 
@@ -108,59 +377,29 @@ MegaSeries.prototype.setDefaults_ = function(config) {
  * Performs initial configuration needed before draw() and writes the values
  * calculated to the config object (shared between the calls)
  *
- * TODO(akiani): add a Formatter for x and y values
- *
  * @private
  * @param {Object}
  *            config MegaSeries config dictionary.
  * @return {Object} config object with initial configuration applied.
  */
 MegaSeries.prototype.configure_ = function(config) {
-    // calculate bounds for start,end,lowest and highest by going through each
-    // series
-    var series = this.series;
-    var firstSeries = series[0].getXYData();
-    var start = firstSeries[0].x;
-    var end = firstSeries[firstSeries.length - 1].x;
-    var minY = 0;
-    var maxY = parseInt(firstSeries[firstSeries.length - 1].y);
-    for (var i = 0; i < series.length; i++) {
-        var tempSeries = series[i].getXYData();
-        var tempSeriesMaxY = pv.max(tempSeries, function(d) {
-            return d.y;
-        });
-        var tempSeriesMinY = pv.min(tempSeries, function(d) {
-            return d.y;
-        });
-        if (maxY < tempSeriesMaxY) {
-            maxY = tempSeriesMaxY;
-        }
-        if (minY > tempSeriesMinY) {
-            minY = tempSeriesMinY;
-        }
-        if (start > tempSeries[0].x) {
-            start = tempSeries[0].x;
-        }
-        if (end < tempSeries[tempSeries.length - 1].x) {
-            end = tempSeries[tempSeries.length - 1].x;
-        }
-    }
-
-    config.series = series;
-    config.end = end;
-    config.start = start;
-    config.maxY = maxY;
-    config.minY = minY;
+    config.series = this.series;
+    this.updateAxes_(config);
+    this.updateBounds_(config);
+    config.timeAxis = config.xAxis == MegaSeries.XAxis.TIME ||
+            (config.xAxis == MegaSeries.XAxis.AUTO &&
+             config.start instanceof Date);
 
     // Create x and y transformations for the context panel based on the
     // input data.
 
-    config.x = pv.Scale.linear(config.start, config.end).range(0,
-                    config.width), config.y = pv.Scale.linear(minY, maxY)
-                    .range(0, config.contextPanelHeight);
-    config.y2 = pv.Scale.linear(minY, maxY).range(0, config.focusPanelHeight);
+    // the y scales of the context panel belong to the axes, config.y is the
+    // one of the first axis.
+    config.x = pv.Scale.linear().range(0, config.width);
+    config.y2 = MegaSeries.createYScale_(config)
+        .range(0, config.focusPanelHeight);
 
-    if(this.series.length == 1) {
+    if(!config.i) {
       // Interaction state dictionary.
       // Should not be reinitialized after the first series.
       // to keep the same view as more series are added
@@ -170,14 +409,219 @@ MegaSeries.prototype.configure_ = function(config) {
       };
     }
 
-    // Focus panel x and y transformations (domain is set on-render)
+    // Focus panel x transformation (domain is set on-render). The y
+    // transformations belong to the axes, config.fy is the one of the first
+    // axis.
     config.fx = pv.Scale.linear().range(0, config.width);
-    config.fy = pv.Scale.linear([0, config.maxY]).range(0,
-            config.focusPanelHeight);
 
+    MegaSeries.updateDomains_(config);
     return config;
 };
 
+/**
+ * Groups the {@link Series} by the y axis they are assigned to, creating the
+ * axes they need, and writes the axes to the config. The axes used before
+ * are kept with their state.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @private
+ */
+MegaSeries.prototype.updateAxes_ = function(config) {
+    var previous = config.yAxisByName || {};
+    var byName = {};
+    var axes = [];
+    // the space taken by the axes on each side.
+    var widths = {left: 0, right: 0};
+    for (var i = 0; i < this.series.length; i++) {
+        var name = this.series[i].axis || 'left';
+        var axis = byName[name];
+        if (!axis) {
+            axis = byName[name] =
+                previous[name] || this.createAxis_(config, name);
+            axis.series = [];
+            axis.offset = widths[axis.side];
+            widths[axis.side] += MegaSeries.AXIS_WIDTH_;
+            axes.push(axis);
+        }
+        axis.series.push(i);
+    }
+    config.yAxes = axes;
+    config.yAxisByName = byName;
+    config.axisWidths = widths;
+    config.y = axes[0].y;
+    config.fy = axes[0].fy;
+};
+
+/**
+ * Creates a y axis from its options in the config.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {string}
+ *            name the name of the axis.
+ * @return {Object} the axis, in the form of {name:, side:, label:, formatter:,
+ *            y:, fy:}, with y and fy its context and focus panel scales.
+ * @private
+ */
+MegaSeries.prototype.createAxis_ = function(config, name) {
+    var options = config.axes[name] || {};
+    var formatter = null;
+    try {
+        formatter = MegaSeries.getFormatter_(options.formatter, config);
+    } catch (e) {
+        this.reportError_(e);
+    }
+    return {
+        name: name,
+        side: options.side || (name == 'right' ? 'right' : 'left'),
+        label: options.label || '',
+        formatter: formatter,
+        y: MegaSeries.createYScale_(config).range(0, config.contextPanelHeight),
+        fy: MegaSeries.createYScale_(config).range(0, config.focusPanelHeight)
+    };
+};
+
+/**
+ * Returns the y axis a {@link Series} is drawn against.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series.
+ * @return {Object} the axis.
+ * @private
+ */
+MegaSeries.axisOf_ = function(config, series) {
+    return config.yAxisByName[series.axis || 'left'] || config.yAxes[0];
+};
+
+/**
+ * The space taken by each y axis on its side of the chart, in pixels.
+ *
+ * @type {number}
+ * @private
+ */
+MegaSeries.AXIS_WIDTH_ = 100;
+
+/**
+ * The space above the focus panel, in pixels.
+ *
+ * @type {number}
+ * @private
+ */
+MegaSeries.MARGIN_TOP_ = 5;
+
+/**
+ * Calculates the bounds for start, end, lowest and highest value by going
+ * through each {@link Series}, and writes them to the config. The lowest and
+ * highest values are also written to the y axes.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @private
+ */
+MegaSeries.prototype.updateBounds_ = function(config) {
+    var series = this.series;
+    var firstExtent = series[0].getExtent();
+    var start = firstExtent.start;
+    var end = firstExtent.end;
+    var minY = firstExtent.minY;
+    var maxY = firstExtent.maxY;
+    for (var i = 0; i < config.yAxes.length; i++) {
+        config.yAxes[i].minY = Infinity;
+        config.yAxes[i].maxY = -Infinity;
+    }
+    for (var i = 0; i < series.length; i++) {
+        // the extent comes from the top of the pyramid, no need to scan
+        // through all the points.
+        var extent = series[i].getExtent();
+        var axis = MegaSeries.axisOf_(config, series[i]);
+        axis.minY = Math.min(axis.minY, extent.minY);
+        axis.maxY = Math.max(axis.maxY, extent.maxY);
+        if (maxY < extent.maxY) {
+            maxY = extent.maxY;
+        }
+        if (minY > extent.minY) {
+            minY = extent.minY;
+        }
+        if (start > extent.start) {
+            start = extent.start;
+        }
+        if (end < extent.end) {
+            end = extent.end;
+        }
+    }
+
+    config.end = end;
+    config.start = start;
+    config.maxY = maxY;
+    config.minY = minY;
+};
+
+/**
+ * Sets the domains of the context panel scales from the bounds stored in the
+ * config. The focus panel domains are set on render by transformSeries_ and
+ * fitY_.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @private
+ */
+MegaSeries.updateDomains_ = function(config) {
+    var domain = MegaSeries.yDomain_(config, config.minY, config.maxY);
+    config.x.domain(config.start, config.end);
+    config.y2.domain(domain[0], domain[1]);
+    for (var i = 0; i < config.yAxes.length; i++) {
+        var axis = config.yAxes[i];
+        domain = MegaSeries.yDomain_(config, axis.minY, axis.maxY);
+        axis.y.domain(domain[0], domain[1]);
+    }
+};
+
+/**
+ * Returns the y domain holding the given values. It is extended to hold the
+ * baseline of the config, so the areas are filled all the way to it, except
+ * on a log scale where the areas are filled to the bottom of the axis.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {number}
+ *            min the lowest value.
+ * @param {number}
+ *            max the highest value.
+ * @return {Array} the domain as [min, max].
+ * @private
+ */
+MegaSeries.yDomain_ = function(config, min, max) {
+    if (config.yScale == MegaSeries.YScale.LOG) {
+        return MegaSeries.logDomain_(min, max);
+    }
+    if (config.baseline == MegaSeries.Baseline.MIN) {
+        return [min, max];
+    }
+    var baseline = config.baseline == MegaSeries.Baseline.ZERO ?
+            0 : config.baseline;
+    return [Math.min(min, baseline), Math.max(max, baseline)];
+};
+
+/**
+ * Returns the value the areas drawn with a y scale are filled toward.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Scale}
+ *            scale the y scale of the focus or context panel.
+ * @return {number} the baseline value.
+ * @private
+ */
+MegaSeries.baseline_ = function(config, scale) {
+    if (config.baseline == MegaSeries.Baseline.MIN) {
+        return scale.domain()[0];
+    }
+    return config.baseline == MegaSeries.Baseline.ZERO ? 0 : config.baseline;
+};
+
 /**
  * Can be called to add a single {@link Series} to the panel. A subsequent call
  * to the .draw() function is required to render the series thereafter.
@@ -186,6 +630,10 @@ MegaSeries.prototype.configure_ = function(config) {
  *            series object to be added to the Mega Series.
  */
 MegaSeries.prototype.addSingleSeries = function(series) {
+    var megaSeries = this;
+    series.errorHandler = function(error) {
+        megaSeries.reportAsyncError_(error);
+    };
     this.series.push(series);
 };
 
@@ -205,464 +653,5327 @@ MegaSeries.prototype.addSingleSeries = function(series) {
  *            options a dictionary of options for this specific {@link Series}.
  */
 MegaSeries.prototype.addSeries = function(name, xydata, annotations, options) {
-    if (this.series.length == 10 && options.strokeColor == undefined) {
-        alert('Can\'t add more than 10 series with the current color scheme.');
+    try {
+        var series = new Series(name, xydata, annotations, options);
+    } catch (e) {
+        this.reportError_(e);
         return;
     }
-    var series = new Series(name, xydata, annotations, options);
     this.addSingleSeries(series);
 };
 
 /**
- * Removes the {@link Series} that matches the name of the passed Series from
- * this {@link MegaSeries}. A subsequent call to the .draw() function is
- * required to render the widget without this Series thereafter.
+ * Constructs a Series backed by the given {@link DataProvider} and adds it to
+ * the MegaSeries. The .draw() function can be called once the returned
+ * Promise is resolved, that is once the extent of the data is known.
  *
  * @param {String}
- *            name The name associated with this Series upon creation.
+ *            name String representation for the name of the {@link Series}.
+ * @param {DataProvider}
+ *            provider the provider to fetch the data from.
+ * @param {Object}
+ *            annotations a list of dictionaries for annotations text and
+ *            location.
+ * @param {Object}
+ *            options a dictionary of options for this specific {@link Series}.
+ * @return {Promise} resolved with the Series once its extent is loaded, or
+ *            with null if loading it failed. The Series is removed again and
+ *            the error reported in that case.
  */
-MegaSeries.prototype.removeSeries = function(name) {
-    var size = this.series.length;
-    for (var i = 0; i < size; i++) {
+MegaSeries.prototype.addProviderSeries = function(name, provider, annotations,
+        options) {
+    var series = new Series(name, null, undefined, options);
+    this.addSingleSeries(series);
+    var megaSeries = this;
+    return series.setDataProvider(provider).then(function() {
+        series.setAnnotations(annotations);
+        return series;
+    }).catch(function(e) {
+        // a Series without an extent can't be drawn.
+        var index = megaSeries.series.indexOf(series);
+        if (index >= 0) {
+            megaSeries.series.splice(index, 1);
+        }
+        megaSeries.reportAsyncError_(e instanceof MegaSeriesError ? e :
+                Series.fetchError_(series, 'the extent', e));
+        return null;
+    });
+};
+
+/**
+ * Appends points to the end of the {@link Series} with the given name. If the
+ * MegaSeries is already drawn, the retention configured in the config is
+ * applied, the bounds and scales are updated from the Series extents and the
+ * widget is re-rendered in place on the next animation frame, without
+ * rebuilding it through .draw(). A burst of appends is rendered once.
+ *
+ * @param {String}
+ *            name The name associated with the Series upon creation.
+ * @param {Object}
+ *            points a list of dictionaries in the form of {x: NUMBER, y:
+ *            NUMBER} <b>sorted</b> in X order, all after the last point of
+ *            the Series.
+ */
+MegaSeries.prototype.appendData = function(name, points) {
+    var index = -1;
+    for (var i = 0; i < this.series.length; i++) {
         if (this.series[i].name == name) {
-            this.series.splice(i, 1);
+            index = i;
         }
     }
+    if (index < 0) {
+        this.reportError_(new MegaSeriesError('No series named "' + name +
+                '" in this MegaSeries.'));
+        return;
+    }
+    var series = this.series[index];
+    try {
+        series.appendPoints(points);
+    } catch (e) {
+        this.reportError_(e);
+        return;
+    }
+
+    var config = this.config_;
+    if (!config || !this.vis_) {
+        return;
+    }
+    // x range of the focus selection, to be preserved while the scale changes.
+    var d1 = +config.x.invert(config.i.x);
+    var d2 = +config.x.invert(config.i.x + config.i.dx);
+
+    var trimmed = this.applyRetention_(config);
+    this.updateBounds_(config);
+    MegaSeries.updateDomains_(config);
+    if (config.followLatest) {
+        config.i.dx = config.width - config.x(+config.end - (d2 - d1));
+        MegaSeries.stickToLatest_(config);
+    } else {
+        var x1 = Math.max(0, Math.min(config.x(d1), config.width - 1));
+        var x2 = Math.min(config.x(d2), config.width);
+        config.i.x = x1;
+        config.i.dx = Math.max(1, x2 - x1);
+    }
+
+    // only the overviews of the changed series have to be recomputed.
+    for (var i = 0; i < this.series.length; i++) {
+        this.staleOverviews_[i] = this.staleOverviews_[i] || trimmed ||
+                i == index;
+    }
+    this.scheduleRender_();
 };
 
 /**
- * The default colors used by the MegaSeries.
+ * Renders the widget on the next animation frame, unless that is already
+ * scheduled, recomputing the overviews of the Series whose data changed
+ * first.
  *
- * @enum {string}
  * @private
  */
-MegaSeries.DEFAULT_COLORS_ = {
-    X_TICK_RULERS_COLOR: '#eee',
-    Y_TICK_RULERS_COLOR: '#aaa',
-    FOCUS_SELECTBOX_COLOR: 'rgba(128, 128, 128, .2)',
-    CONTEXT_SELECTBOX_COLOR: 'rgba(128, 128, 128, .2)'
+MegaSeries.prototype.scheduleRender_ = function() {
+    if (this.renderFrame_ != null) {
+        return;
+    }
+    var megaSeries = this;
+    var render = function() {
+        megaSeries.renderFrame_ = null;
+        var config = megaSeries.config_;
+        for (var i = 0; i < megaSeries.series.length; i++) {
+            if (megaSeries.staleOverviews_[i]) {
+                config.overviews[i] =
+                        MegaSeries.overview_(config, megaSeries.series[i]);
+            }
+        }
+        megaSeries.staleOverviews_ = [];
+        megaSeries.render_();
+    };
+    this.renderFrame_ = window.requestAnimationFrame ?
+            window.requestAnimationFrame(render) : setTimeout(render, 16);
 };
 
 /**
- * Renders the MegaSeries using Protovis Visualization Library from Stanford
- * Visualization Group (which uses SVG internally).
- *
- * @param {!Object}
- *            config The visualization configuration.
+ * Drops the oldest points of each {@link Series} that are beyond the
+ * retention set in the config, either by count (maxPoints, per Series) or by
+ * x span (maxSpan, measured back from the newest point of any Series). The
+ * annotations dropped with them are reported to the annotation change
+ * handler.
  *
- * @see http://vis.stanford.edu/protovis
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {boolean} whether any points were dropped.
  * @private
  */
-MegaSeries.prototype.drawVisualization_ = function(config) {
-    // Root panel.
-    var vis = new pv.Panel()
-        .canvas(this.container_)
-        .width(config.width)
-        .height(config.focusPanelHeight + 20 + config.contextPanelHeight)
-        .bottom(20)
-        .left(100)
-        .right(20)
-        .top(5);
-
-    // Focus panel (zoomed in).
-    var focus = vis.add(pv.Panel)
-        .top(0)
-        .height(config.focusPanelHeight);
+MegaSeries.prototype.applyRetention_ = function(config) {
+    var retention = config.retention;
+    if (!retention) {
+        return false;
+    }
+    var series = this.series;
+    var latest = -Infinity;
+    for (var i = 0; i < series.length; i++) {
+        latest = Math.max(latest, +series[i].getExtent().end);
+    }
 
-    this.transformSeries_(config, this.series[0].getXYData());
+    var trimmed = false;
+    for (var i = 0; i < series.length; i++) {
+        // the provider owns the data of provider backed series.
+        if (series[i].getDataProvider()) {
+            continue;
+        }
+        var size = series[i].getSize();
+        var count = 0;
+        if (retention.maxPoints && size > retention.maxPoints) {
+            count = size - retention.maxPoints;
+        }
+        if (retention.maxSpan) {
+            count = Math.max(count,
+                    series[i].search(latest - retention.maxSpan));
+        }
+        if (count > 0) {
+            var removed = series[i].removeOldest(count);
+            for (var j = 0; j < removed.length; j++) {
+                this.emitAnnotationChange_('remove', {
+                    annotation: removed[j],
+                    series: series[i],
+                    layer: null
+                });
+            }
+            trimmed = true;
+        }
+    }
+    return trimmed;
+};
 
-    // X-axis tick rulers.
-    focus.add(pv.Rule)
-        .data(function() {
-            return config.fx.ticks();
-        })
-        .left(config.fx)
-        .strokeStyle(config.colors.xTickRulers)
-        .anchor('bottom')
-        .add(pv.Label)
-            .text(config.fx.tickFormat);
+/**
+ * Turns the follow-latest mode on or off. While on, the focus selection is
+ * kept at the right edge of the context panel so the newest data is always
+ * in view. Moving the selection in the context panel turns it off. Can be
+ * called before the first draw().
+ *
+ * @param {boolean}
+ *            follow whether the focus selection should follow the newest data.
+ */
+MegaSeries.prototype.setFollowLatest = function(follow) {
+    this.followLatest_ = follow;
+    var config = this.config_;
+    if (!config) {
+        return;
+    }
+    config.followLatest = follow;
+    if (follow && this.vis_) {
+        MegaSeries.stickToLatest_(config);
+        this.render_();
+    }
+};
 
-    // Y-axis ticks.
-    focus.add(pv.Rule)
-        .data(function() {
-            return config.fy.ticks(7);
-        })
-        .bottom(config.fy)
-        .strokeStyle(config.colors.yTickRulers)
-        .anchor('left')
-        .add(pv.Label)
-        .text(config.fy.tickFormat);
+/**
+ * Changes how the focus y axis is fitted, animating the axis to its new
+ * domain. Can be called before the first draw().
+ *
+ * @param {MegaSeries.YFit}
+ *            fit the new mode. LOCK keeps the domain the axis has now.
+ */
+MegaSeries.prototype.setYFit = function(fit) {
+    this.yFit_ = fit;
+    if (this.config_) {
+        this.config_.yFit = fit;
+    }
+    if (this.vis_) {
+        this.render_();
+    }
+};
 
-    // assigning a variable to the private function because the scope
-    // is lost inside the Protovis call. Could probably be done using Closure or
-    // jQuery but seemed to be an easy option to keep the library independent.
-    var transformFunction = this.transformSeries_;
+/**
+ * Moves the focus selection to the right edge of the context panel, keeping
+ * its width.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @private
+ */
+MegaSeries.stickToLatest_ = function(config) {
+    config.i.dx = Math.max(1, Math.min(config.i.dx, config.width));
+    config.i.x = config.width - config.i.dx;
+};
 
-    // flags to separate mousemove behavior and mouseclick/select behavior
-    var isMouseOver = false;
-    var isMouseClick = false;
+/**
+ * Removes the {@link Series} that matches the name of the passed Series from
+ * this {@link MegaSeries}. A subsequent call to the .draw() function is
+ * required to render the widget without this Series thereafter.
+ *
+ * @param {String}
+ *            name The name associated with this Series upon creation.
+ */
+MegaSeries.prototype.removeSeries = function(name) {
+    var size = this.series.length;
+    for (var i = 0; i < size; i++) {
+        if (this.series[i].name == name) {
+            this.series.splice(i, 1);
+        }
+    }
+};
 
-    // Focus area chart. One panel is created per series
-    var panel = focus.add(pv.Panel)
-        .data(this.series)
-        .overflow('hidden')
-        .cursor('crosshair');
-    panel.add(pv.Area)
-        .data(function(d) {
-            return transformFunction(config, d.getXYData());
-        })
-        .left(function(d) {
-            return config.fx(d.x);
-        })
-        .bottom(1)
-        .height(function(d) {
-            return config.fy(d.y);
-        })
-        .fillStyle(function() {
-            var color = pv.Colors.category10().range()[this.parent.index];
-            color.opacity = .1;
-            return color;
-        })
-        .anchor('top')
-    // the stroke on top of area chart
-    .add(pv.Line)
-        .fillStyle(null)
-        .strokeStyle(function() {
-            return pv.Colors.category10().range()[this.parent.index];
-        })
-        .lineWidth(1)
-    // moving dot on top of each series
-    .add(pv.Dot)
-        .visible(function() {
-            return config.p >= 0;
-        })
-        .data(function(d) {
-            if (config.p >= 0) {
-                return [config.dd[config.p]];
-            } else {
-                return [];
+/**
+ * Adds a layer of chart-wide annotations, drawn across the focus and context
+ * panels for all Series: vertical lines for events, e.g. deploys, and shaded
+ * x ranges, e.g. maintenance windows. A layer with the same name is
+ * replaced. The widget is re-rendered in place if it is already drawn.
+ *
+ * @param {String}
+ *            name the name of the layer.
+ * @param {Object}
+ *            items a list of dictionaries in the form of {x:, title:, desc:}
+ *            for events and {start:, end:, title:, desc:} for ranges. X
+ *            values are accepted in the same forms as in the XY data.
+ * @param {Object}
+ *            style a dictionary in the form of {color:, lineWidth:, dash:,
+ *            fillOpacity:, visible:}, all optional. The ranges are filled
+ *            with the color at fillOpacity.
+ */
+MegaSeries.prototype.addAnnotationLayer = function(name, items, style) {
+    try {
+        var layer = MegaSeries.toLayer_(name, items, style);
+    } catch (e) {
+        this.reportError_(e);
+        return;
+    }
+    this.setLayer_(layer);
+};
+
+/**
+ * Adds an annotation layer, replacing the one with the same name, and
+ * re-renders the widget if it is already drawn.
+ *
+ * @param {Object}
+ *            layer the layer, see toLayer_().
+ * @private
+ */
+MegaSeries.prototype.setLayer_ = function(layer) {
+    var index = this.findLayer_(layer.name);
+    this.layers_[index < 0 ? this.layers_.length : index] = layer;
+    if (this.vis_) {
+        this.render_();
+    }
+};
+
+/**
+ * Validates the items of an annotation layer and returns the layer, with the
+ * x values of its events and ranges as numbers.
+ *
+ * @param {String}
+ *            name the name of the layer.
+ * @param {Object}
+ *            items the items of the layer, see addAnnotationLayer().
+ * @param {Object}
+ *            style the style of the layer, see addAnnotationLayer().
+ * @return {Object} the layer.
+ * @throws {MegaSeriesError} if an item is invalid.
+ * @private
+ */
+MegaSeries.toLayer_ = function(name, items, style) {
+    style = style || {};
+    var layer = {
+        name: name,
+        events: [],
+        ranges: [],
+        color: style.color || MegaSeries.DEFAULT_COLORS_.ANNOTATION_LAYER_COLOR,
+        lineWidth: style.lineWidth || 1,
+        // SVG dash pattern of the event lines, e.g. '4,2' or [4, 2].
+        dash: style.dash instanceof Array ? style.dash.join(',') : style.dash,
+        fillOpacity: style.fillOpacity == undefined ? .15 : style.fillOpacity,
+        visible: style.visible != false
+    };
+    for (var i = 0; i < (items || []).length; i++) {
+        var item = items[i];
+        var where = ' at index ' + i + ' of annotation layer "' + name + '".';
+        if (item.start != undefined || item.end != undefined) {
+            var start = Series.parseValue_(item.start, true);
+            var end = Series.parseValue_(item.end, true);
+            if (!(start <= end)) {
+                throw new MegaSeriesError('Invalid range "' + item.start +
+                        '" to "' + item.end + '"' + where);
             }
-        })
-        .left(function(d) {
-            if (d)
-                return config.fx(d.x);
-        })
-        .bottom(function(d) {
-            if (d)
-                return config.fy(d.y);
-        })
-        .fillStyle(function() {
-            return pv.Colors.category10().range()[this.parent.index];
-        })
-        .size(10)
-        .lineWidth(1)
-    // legend on the upper left side
-    .add(pv.Dot)
-        .fillStyle(function() {
-            return pv.Colors.category10().range()[this.parent.index];
-        })
-        .left(5)
-        .top(function() {
-            return this.parent.index * 12 + 10;
-        })
-        .anchor('right')
-        .add(pv.Label)
-        .text(function(d) {
-            if (d) {
-                return parseInt(d.y).toFixed(2);
+            layer.ranges.push({start: start, end: end, item: item});
+        } else {
+            var x = Series.parseValue_(item.x, true);
+            if (isNaN(x)) {
+                throw new MegaSeriesError('Invalid x value "' + item.x + '"' +
+                        where);
             }
-        });
+            layer.events.push({x: x, item: item});
+        }
+    }
+    return layer;
+};
 
-    // dictionary to contain zoomarea
-    var zoomarea = {
-        x: 0,
-        dx: 0
-    };
+/**
+ * Shows or hides the annotation layer with the given name.
+ *
+ * @param {String}
+ *            name the name of the layer.
+ * @param {boolean}
+ *            visible whether the layer is shown.
+ */
+MegaSeries.prototype.setAnnotationLayerVisible = function(name, visible) {
+    var index = this.findLayer_(name);
+    if (index < 0) {
+        this.reportError_(new MegaSeriesError('No annotation layer named "' +
+                name + '" in this MegaSeries.'));
+        return;
+    }
+    this.layers_[index].visible = visible;
+    if (this.vis_) {
+        this.render_();
+    }
+};
 
-    // function to be called after selection is done on the focus panel to
-    // slice the data and update the size of the selection in on the context
-    // panel.
-    var zoom = function() {
-        var transform = pv.Scale.linear(0, config.width).range(
-                config.zoomstart, config.zoomend);
-        var d1 = transform(zoomarea.x), d2 =
-          transform(zoomarea.x + zoomarea.dx);
-        var end = zoomarea.x + zoomarea.dx;
-        var width = d2 - d1;
-        config.i.x = d1;
-        config.i.dx = width;
+/**
+ * Removes the annotation layer with the given name, if there is one.
+ *
+ * @param {String}
+ *            name the name of the layer.
+ */
+MegaSeries.prototype.removeAnnotationLayer = function(name) {
+    var index = this.findLayer_(name);
+    if (index >= 0) {
+        this.layers_.splice(index, 1);
+        if (this.vis_) {
+            this.render_();
+        }
+    }
+};
+
+/**
+ * Returns the names of the annotation layers, in the order they are drawn.
+ *
+ * @return {Array} the names of the layers.
+ */
+MegaSeries.prototype.getAnnotationLayers = function() {
+    return this.layers_.map(function(layer) {
+        return layer.name;
+    });
+};
+
+/**
+ * Sets the function changes to annotations made in annotation editing mode
+ * are reported to, so they can be persisted. It is called with a dictionary
+ * in the form of {type:, annotation:, series:, layer:}, type being 'add',
+ * 'update', 'move' or 'remove', series the name of the {@link Series} of the
+ * annotation and layer the name of the annotation layer of a range, the other
+ * one being null. Annotations dropped with the oldest points by the retention
+ * of appendData() are reported as removed too.
+ *
+ * @param {Function}
+ *            handler function called with each change.
+ */
+MegaSeries.prototype.setAnnotationChangeHandler = function(handler) {
+    this.annotationChangeHandler_ = handler;
+};
+
+/**
+ * Turns the annotation editing mode on or off. While on, clicking the focus
+ * panel adds an annotation to the nearest Series and brushing it adds an x
+ * range to the annotation layer named by the annotationLayer entry of the
+ * config, instead of zooming. The flags of annotations and the tabs at the
+ * top of the ranges of the annotation layers are dragged to move them and
+ * clicked to edit or delete them. Clicking the flag of several annotations
+ * opens their callout, whose lines are clicked to edit each of them. Can be
+ * called before the first draw().
+ *
+ * @param {boolean}
+ *            editing whether annotations are edited with the mouse.
+ */
+MegaSeries.prototype.setAnnotationEditing = function(editing) {
+    this.annotationEditing_ = editing;
+    if (this.config_) {
+        this.config_.annotationEditing = editing;
+    }
+    if (!editing) {
+        this.closeAnnotationEditor_(false);
+    }
+    if (this.vis_) {
+        this.render_();
+    }
+};
+
+/**
+ * Adds an annotation where the user clicked or brushed the focus panel and
+ * opens the editor for it. A click annotates the Series whose line is the
+ * closest to the mouse, a brushed range goes to the editable annotation layer.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Object}
+ *            area the selection in the focus panel, in the form of {x:, y:,
+ *            dx:} in pixels from its top left corner.
+ * @private
+ */
+MegaSeries.prototype.createAnnotation_ = function(config, area) {
+    var toX = function(left) {
+        var x = +config.fx.invert(left);
+        return config.timeAxis ? new Date(Math.round(x)) : x;
     };
+    var target;
+    if (area.dx >= 3) {
+        target = {
+            annotation: {
+                start: toX(area.x),
+                end: toX(area.x + area.dx),
+                title: ''
+            },
+            series: null,
+            layer: config.annotationLayer
+        };
+    } else {
+        // the line nearest to the mouse, in pixels from the bottom.
+        var bottom = config.focusPanelHeight - area.y;
+        var x = +config.fx.invert(area.x);
+        var nearest = 0, distance = Infinity;
+        for (var i = 0; i < this.series.length; i++) {
+            var point = MegaSeries.pointAt_(config.slices[i], x);
+            var fy = MegaSeries.axisOf_(config, this.series[i]).fy;
+            var d = point ? Math.abs(1 + fy(point.y) - bottom) : Infinity;
+            if (d < distance) {
+                nearest = i;
+                distance = d;
+            }
+        }
+        target = {
+            annotation: {x: toX(area.x), title: ''},
+            series: this.series[nearest],
+            layer: null
+        };
+    }
+    target.isNew = true;
+    this.addAnnotation_(target);
+    this.openAnnotationEditor_(target, area.x, area.y);
+};
 
-    // function that handles zooming using mouse gestures (scroll wheel)
-    var mouseZoom = function() {
-        var t = this.transform();
-        var scaleFactor = 1 + ((t.k - 1.) * 100);
+/**
+ * Moves annotations along with the mouse until the mouse button is released,
+ * keeping their distances, or calls the click function if the mouse didn't
+ * move. Both the annotations of Series and the x ranges of annotation layers
+ * can be moved.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            focus the focus panel.
+ * @param {Array}
+ *            targets the annotations to move, in the form of {annotation:,
+ *            series:, layer:}.
+ * @param {number}
+ *            left the position of the grabbed mark, in pixels from the left
+ *            of the focus panel.
+ * @param {Function}
+ *            click function called if the mouse didn't move.
+ * @private
+ */
+MegaSeries.prototype.dragAnnotation_ = function(config, focus, targets, left,
+        click) {
+    var megaSeries = this;
+    // the x values the annotations are moved from.
+    var origins = targets.map(function(target) {
+        var a = target.annotation;
+        return target.series ? [+a.x] : [+a.start, +a.end];
+    });
+    var pageX = pv.event.pageX;
+    var moved = false;
+    var move = function(e) {
+        var dx = e.pageX - pageX;
+        // small jitters of a click don't move the annotations.
+        moved = moved || Math.abs(dx) > 2;
+        if (!moved) {
+            return;
+        }
+        var shift = +config.fx.invert(
+                Math.max(0, Math.min(config.width, left + dx))) -
+                +config.fx.invert(left);
+        for (var i = 0; i < targets.length; i++) {
+            MegaSeries.moveAnnotation_(megaSeries.layers_, targets[i],
+                    origins[i], shift);
+        }
+        focus.render();
+    };
+    var up = function() {
+        window.removeEventListener('mousemove', move, false);
+        window.removeEventListener('mouseup', up, false);
+        if (!moved) {
+            click();
+            return;
+        }
+        for (var i = 0; i < targets.length; i++) {
+            megaSeries.emitAnnotationChange_('move', targets[i]);
+        }
+    };
+    window.addEventListener('mousemove', move, false);
+    window.addEventListener('mouseup', up, false);
+};
 
-        if ((config.i.x + scaleFactor * config.i.dx) < config.width) {
-            if (t.k * scaleFactor * (config.i.dx) > 1) {
-                config.i.dx = config.i.dx * scaleFactor;
-            } else {
-                config.i.dx = 1;
+/**
+ * Moves an annotation of a Series, or a range of an annotation layer, by the
+ * given distance from where it was. Dates stay Dates.
+ *
+ * @param {Array}
+ *            layers the annotation layers, see addAnnotationLayer().
+ * @param {Object}
+ *            target the annotation, in the form of {annotation:, series:,
+ *            layer:}.
+ * @param {Array}
+ *            origin the x value of the annotation, or the start and end of
+ *            the range, before it was moved.
+ * @param {number}
+ *            shift the distance to move the annotation by.
+ * @private
+ */
+MegaSeries.moveAnnotation_ = function(layers, target, origin, shift) {
+    var annotation = target.annotation;
+    if (target.series) {
+        annotation.x = target.series.toX_(origin[0] + shift);
+        // the y values follow the new x.
+        target.series.setAnnotations(target.series.getAnnotations());
+        return;
+    }
+    var toX = function(x) {
+        return annotation.start instanceof Date ? new Date(x) : x;
+    };
+    annotation.start = toX(origin[0] + shift);
+    annotation.end = toX(origin[1] + shift);
+    for (var i = 0; i < layers.length; i++) {
+        if (layers[i].name != target.layer) {
+            continue;
+        }
+        var ranges = layers[i].ranges;
+        for (var j = 0; j < ranges.length; j++) {
+            if (ranges[j].item == annotation) {
+                ranges[j].start = origin[0] + shift;
+                ranges[j].end = origin[1] + shift;
             }
-        } else {
-            config.i.dx = config.width - config.i.x;
         }
-        t.k = 1;
-        return vis;
+    }
+};
+
+/**
+ * Opens the editor of an annotation over the focus panel, closing any other
+ * one. The editor has fields for the label, title and description (no label
+ * for ranges) and buttons to save, delete and cancel. Enter saves and Escape
+ * cancels. A new annotation is discarded when it is deleted or canceled.
+ *
+ * @param {Object}
+ *            target the annotation being edited, in the form of
+ *            {annotation:, series:, layer:, isNew:}.
+ * @param {number}
+ *            left the x position of the editor, in pixels from the left of
+ *            the focus panel.
+ * @param {number}
+ *            top the y position of the editor, in pixels from the top of the
+ *            focus panel.
+ * @private
+ */
+MegaSeries.prototype.openAnnotationEditor_ = function(target, left, top) {
+    this.closeAnnotationEditor_(false);
+    var megaSeries = this;
+    var config = this.config_;
+    var annotation = target.annotation;
+
+    var editor = document.createElement('div');
+    editor.className = 'megaseries-annotation-editor';
+    editor.style.position = 'absolute';
+    editor.style.left = config.marginLeft +
+            Math.max(0, Math.min(left, config.width - 200)) + 'px';
+    editor.style.top = MegaSeries.MARGIN_TOP_ + top + 'px';
+    editor.style.background = config.colors.callout;
+    editor.style.border = '1px solid ' + config.colors.calloutBorder;
+    editor.style.padding = '4px';
+    editor.style.font = '11px sans-serif';
+
+    var fields = {};
+    var addField = function(name, placeholder, size) {
+        var input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.placeholder = placeholder;
+        input.size = size;
+        input.value = annotation[name] == undefined ? '' : annotation[name];
+        editor.appendChild(input);
+        fields[name] = input;
     };
+    if (target.series) {
+        addField('l', 'Label', 3);
+    }
+    addField('title', 'Title', 16);
+    addField('desc', 'Description', 24);
 
-    var updateBar = function() {
-        vis.render();
+    var addButton = function(text, action) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.onclick = action;
+        editor.appendChild(button);
+    };
+    var save = function() {
+        for (var name in fields) {
+            annotation[name] = fields[name].value;
+        }
+        megaSeries.closeAnnotationEditor_(true);
+        megaSeries.emitAnnotationChange_(target.isNew ? 'add' : 'update',
+                target);
+        target.isNew = false;
+    };
+    var remove = function() {
+        megaSeries.editor_ = null;
+        editor.parentNode.removeChild(editor);
+        megaSeries.removeAnnotation_(target);
+        if (!target.isNew) {
+            megaSeries.emitAnnotationChange_('remove', target);
+        }
+    };
+    addButton('Save', save);
+    addButton('Delete', remove);
+    addButton('Cancel', function() {
+        megaSeries.closeAnnotationEditor_(false);
+    });
+    editor.onkeydown = function(e) {
+        if (e.keyCode == 13) {
+            save();
+        } else if (e.keyCode == 27) {
+            megaSeries.closeAnnotationEditor_(false);
+        }
     };
 
-    // add handlers on the focus panel to perform select and zoom and mouse
-    // scaling feature.
-    // legend is also populated here (see mousemove event)
-    var focusZoom = focus.add(pv.Panel)
-            .cursor('crosshair')
-            .data([zoomarea])
-            .events('all')
-            .event('selectstart', function() {
-                isMouseClick = true;
-                return focusBar.width(function(d) {
-                    return d.dx;
-                });
-            })
-            .event('mousedown', pv.Behavior.select())
-            .event('select', zoom)
-            .event('selectend', function() {
-                isMouseClick = false;
-                return focusBar.width(0);
-            })
-            .event('mouseup', updateBar)
-            .event('mousewheel', pv.Behavior.zoom())
-            .event('zoom', mouseZoom)
-            .event('zoomend', updateBar)
-            .event('mouseout', function() {
-                config.p = -1;
-                return vis;
-            })
-            .event('mousemove', function() {
-                if (!isMouseClick) {
-                    var mx = config.fx.invert(vis.mouse().x);
-                    config.p = pv.search(config.dd.map(function(d) {
-                        return d.x;
-                    }), mx);
-                    config.p = config.p < 0 ? (-config.p - 2) : config.p;
-                    // run handler
-                    if (config.mouseMoveHandler) {
-                        config.mouseMoveHandler();
-                    }
-                    return focus;
+    // the editor is positioned relative to the container.
+    if (!this.container_.style.position) {
+        this.container_.style.position = 'relative';
+    }
+    this.container_.appendChild(editor);
+    this.editor_ = {element: editor, target: target};
+    (fields.l && !fields.l.value ? fields.l : fields.title).focus();
+};
+
+/**
+ * Closes the open annotation editor, if there is one. A new annotation is
+ * discarded unless it was saved.
+ *
+ * @param {boolean}
+ *            saved whether the changes were saved.
+ * @private
+ */
+MegaSeries.prototype.closeAnnotationEditor_ = function(saved) {
+    var editor = this.editor_;
+    if (!editor) {
+        return;
+    }
+    this.editor_ = null;
+    editor.element.parentNode.removeChild(editor.element);
+    if (saved) {
+        this.refreshAnnotations_(editor.target);
+    } else if (editor.target.isNew) {
+        this.removeAnnotation_(editor.target);
+    }
+};
+
+/**
+ * Adds an annotation to its Series or annotation layer, creating the layer if
+ * there is none by that name.
+ *
+ * @param {Object}
+ *            target the annotation, in the form of {annotation:, series:,
+ *            layer:}.
+ * @private
+ */
+MegaSeries.prototype.addAnnotation_ = function(target) {
+    if (target.series) {
+        var annotations = target.series.getAnnotations();
+        if (!(annotations instanceof Array)) {
+            annotations = [];
+        }
+        annotations.push(target.annotation);
+        target.series.setAnnotations(annotations);
+    } else {
+        if (this.findLayer_(target.layer) < 0) {
+            this.addAnnotationLayer(target.layer, []);
+        }
+        var layer = this.layers_[this.findLayer_(target.layer)];
+        layer.ranges.push({
+            start: +target.annotation.start,
+            end: +target.annotation.end,
+            item: target.annotation
+        });
+    }
+    this.refreshAnnotations_(target);
+};
+
+/**
+ * Removes an annotation from its Series or annotation layer.
+ *
+ * @param {Object}
+ *            target the annotation, in the form of {annotation:, series:,
+ *            layer:}.
+ * @private
+ */
+MegaSeries.prototype.removeAnnotation_ = function(target) {
+    if (target.series) {
+        var annotations = target.series.getAnnotations();
+        var index = annotations.indexOf(target.annotation);
+        if (index >= 0) {
+            annotations.splice(index, 1);
+        }
+    } else {
+        var layer = this.layers_[this.findLayer_(target.layer)];
+        if (layer) {
+            layer.ranges = layer.ranges.filter(function(r) {
+                return r.item != target.annotation;
+            });
+        }
+    }
+    this.refreshAnnotations_(target);
+};
+
+/**
+ * Re-renders the widget after an annotation changed.
+ *
+ * @param {Object}
+ *            target the annotation, in the form of {annotation:, series:,
+ *            layer:}.
+ * @private
+ */
+MegaSeries.prototype.refreshAnnotations_ = function(target) {
+    if (target.series) {
+        // the label may have changed, and with it the flag.
+        target.series.setAnnotations(target.series.getAnnotations());
+    }
+    if (this.vis_) {
+        this.render_();
+    }
+};
+
+/**
+ * Reports a change to an annotation to the annotation change handler, if
+ * there is one.
+ *
+ * @param {string}
+ *            type 'add', 'update', 'move' or 'remove'.
+ * @param {Object}
+ *            target the annotation, in the form of {annotation:, series:,
+ *            layer:}.
+ * @private
+ */
+MegaSeries.prototype.emitAnnotationChange_ = function(type, target) {
+    if (this.annotationChangeHandler_) {
+        this.annotationChangeHandler_({
+            type: type,
+            annotation: target.annotation,
+            series: target.series ? target.series.name : null,
+            layer: target.layer
+        });
+    }
+};
+
+/**
+ * Exports the annotations of the Series and the annotation layers, so they
+ * can be imported into this or another MegaSeries by importAnnotations().
+ * Date x values are written as ISO 8601 timestamps in UTC.
+ *
+ * The JSON format is a dictionary in the form of {series: [{name:,
+ * annotations: []}], layers: [{name:, style:, items: []}]}, holding all the
+ * fields of the annotations but their computed y values. The CSV format has
+ * a header row and the columns listed in MegaSeries.CSV_COLUMNS_, so it keeps
+ * the fields MegaSeries knows about.
+ *
+ * @param {MegaSeries.AnnotationFormat}
+ *            opt_format the format, JSON by default.
+ * @return {string} the exported annotations.
+ */
+MegaSeries.prototype.exportAnnotations = function(opt_format) {
+    var timeAxis = !!(this.config_ && this.config_.timeAxis);
+    var data = {
+        series: this.series.filter(function(series) {
+            var annotations = series.getAnnotations();
+            return annotations instanceof Array && annotations.length > 0;
+        }).map(function(series) {
+            return {
+                name: series.name,
+                annotations: series.getAnnotations().map(function(a) {
+                    return MegaSeries.exportItem_(a, series.hasDates_());
+                })
+            };
+        }),
+        layers: this.layers_.map(function(layer) {
+            var items = layer.events.concat(layer.ranges);
+            return {
+                name: layer.name,
+                style: {
+                    color: layer.color,
+                    lineWidth: layer.lineWidth,
+                    dash: layer.dash,
+                    fillOpacity: layer.fillOpacity,
+                    visible: layer.visible
+                },
+                items: items.map(function(entry) {
+                    return MegaSeries.exportItem_(entry.item, timeAxis);
+                })
+            };
+        })
+    };
+    if (opt_format == MegaSeries.AnnotationFormat.CSV) {
+        return MegaSeries.toCsv_(data);
+    }
+    return JSON.stringify(data, null, 2);
+};
+
+/**
+ * Imports annotations exported by exportAnnotations(). The annotations of a
+ * Series in the import replace the ones it has, and a layer replaces the
+ * layer of the same name. Other Series and layers are kept as they are.
+ * Nothing is imported if any entry is invalid.
+ *
+ * @param {string}
+ *            text the exported annotations.
+ * @param {MegaSeries.AnnotationFormat}
+ *            opt_format the format, JSON by default.
+ */
+MegaSeries.prototype.importAnnotations = function(text, opt_format) {
+    var series = this.series;
+    try {
+        var data = opt_format == MegaSeries.AnnotationFormat.CSV ?
+                MegaSeries.fromCsv_(text) : MegaSeries.fromJson_(text);
+        // everything is validated before anything changes.
+        var updates = (data.series || []).map(function(entry) {
+            var target = null;
+            for (var i = 0; i < series.length; i++) {
+                if (series[i].name == entry.name) {
+                    target = series[i];
+                }
+            }
+            if (!target) {
+                throw new MegaSeriesError('No series named "' + entry.name +
+                        '" in this MegaSeries.');
+            }
+            var annotations = (entry.annotations || []).map(
+                    function(annotation, index) {
+                return MegaSeries.importItem_(annotation, ' at index ' +
+                        index + ' of the annotations of series "' +
+                        entry.name + '".');
+            });
+            for (var i = 0; i < annotations.length; i++) {
+                target.annotationY_(annotations[i]);
+            }
+            return {series: target, annotations: annotations};
+        });
+        var layers = (data.layers || []).map(function(entry) {
+            var items = (entry.items || []).map(function(item, index) {
+                return MegaSeries.importItem_(item, ' at index ' + index +
+                        ' of annotation layer "' + entry.name + '".');
+            });
+            return MegaSeries.toLayer_(entry.name, items, entry.style);
+        });
+    } catch (e) {
+        this.reportError_(e);
+        return;
+    }
+    for (var i = 0; i < updates.length; i++) {
+        updates[i].series.setAnnotations(updates[i].annotations);
+    }
+    for (var i = 0; i < layers.length; i++) {
+        this.setLayer_(layers[i]);
+    }
+    if (this.vis_) {
+        this.render_();
+    }
+};
+
+/**
+ * Returns a copy of an annotation or layer item for export, without its
+ * computed y value and with its x values as numbers or ISO timestamps.
+ *
+ * @param {Object}
+ *            item the annotation or item.
+ * @param {boolean}
+ *            dates whether numeric x values are epoch milliseconds.
+ * @return {Object} the copy.
+ * @private
+ */
+MegaSeries.exportItem_ = function(item, dates) {
+    var copy = {};
+    for (var key in item) {
+        if (!item.hasOwnProperty(key) || key == 'y') {
+            continue;
+        }
+        var value = item[key];
+        if (MegaSeries.X_FIELDS_.indexOf(key) >= 0) {
+            var x = Series.parseValue_(value, true);
+            var isDate = dates || value instanceof Date ||
+                    (typeof value == 'string' && !Series.NUMBER_.test(value));
+            value = isNaN(x) ? value : isDate ? new Date(x).toISOString() : x;
+        }
+        copy[key] = value;
+    }
+    return copy;
+};
+
+/**
+ * Returns a copy of an imported annotation or layer item, with its ISO
+ * timestamps as Dates and its numeric strings as numbers.
+ *
+ * @param {Object}
+ *            item the imported annotation or item.
+ * @param {string}
+ *            where the end of the error message, telling where the item is.
+ * @return {Object} the copy.
+ * @throws {MegaSeriesError} if an x value is neither a number nor a date.
+ * @private
+ */
+MegaSeries.importItem_ = function(item, where) {
+    var copy = {};
+    for (var key in item) {
+        if (!item.hasOwnProperty(key)) {
+            continue;
+        }
+        var value = item[key];
+        if (MegaSeries.X_FIELDS_.indexOf(key) >= 0 && value != undefined) {
+            if (typeof value == 'string' && Series.NUMBER_.test(value)) {
+                value = Number(value);
+            } else if (typeof value == 'string') {
+                value = new Date(Date.parse(value));
+            }
+            var valid = typeof value == 'number' ? isFinite(value) :
+                    value instanceof Date && !isNaN(value.getTime());
+            if (!valid) {
+                throw new MegaSeriesError('Invalid ' + key + ' value "' +
+                        item[key] + '"' + where);
+            }
+        }
+        copy[key] = value;
+    }
+    return copy;
+};
+
+/**
+ * The fields of annotations and layer items holding x values.
+ *
+ * @type {Array}
+ * @private
+ */
+MegaSeries.X_FIELDS_ = ['x', 'start', 'end'];
+
+/**
+ * Parses exported annotations in the JSON format.
+ *
+ * @param {string}
+ *            text the exported annotations.
+ * @return {Object} the annotations, see exportAnnotations().
+ * @throws {MegaSeriesError} if the text is not valid JSON.
+ * @private
+ */
+MegaSeries.fromJson_ = function(text) {
+    try {
+        return JSON.parse(text) || {};
+    } catch (e) {
+        throw new MegaSeriesError('Invalid annotation JSON: ' + e.message);
+    }
+};
+
+/**
+ * Writes annotations in the CSV format.
+ *
+ * @param {Object}
+ *            data the annotations, see exportAnnotations().
+ * @return {string} the CSV text, with a header row.
+ * @private
+ */
+MegaSeries.toCsv_ = function(data) {
+    var rows = [MegaSeries.CSV_COLUMNS_.join(',')];
+    var addRow = function(fields) {
+        rows.push(MegaSeries.CSV_COLUMNS_.map(function(column) {
+            return MegaSeries.csvField_(fields[column]);
+        }).join(','));
+    };
+    data.series.forEach(function(entry) {
+        entry.annotations.forEach(function(a) {
+            addRow({
+                kind: 'point',
+                series: entry.name,
+                x: a.x,
+                l: a.l,
+                title: a.title,
+                desc: a.desc == undefined ? a.description : a.desc,
+                placement: a.placement
+            });
+        });
+    });
+    data.layers.forEach(function(layer) {
+        var style = layer.style;
+        addRow({
+            kind: 'layer',
+            layer: layer.name,
+            color: style.color,
+            lineWidth: style.lineWidth,
+            dash: style.dash,
+            fillOpacity: style.fillOpacity,
+            visible: style.visible
+        });
+        layer.items.forEach(function(item) {
+            var range = item.start != undefined || item.end != undefined;
+            addRow({
+                kind: range ? 'range' : 'event',
+                layer: layer.name,
+                x: range ? item.start : item.x,
+                end: item.end,
+                title: item.title,
+                desc: item.desc
+            });
+        });
+    });
+    return rows.join('\n') + '\n';
+};
+
+/**
+ * Returns a value as a CSV field, quoted if needed.
+ *
+ * @param {*}
+ *            value the value, undefined and null being written as empty.
+ * @return {string} the field.
+ * @private
+ */
+MegaSeries.csvField_ = function(value) {
+    if (value == undefined) {
+        return '';
+    }
+    var text = String(value);
+    return /[",\r\n]/.test(text) ?
+            '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/**
+ * Parses exported annotations in the CSV format. Empty fields are left out of
+ * the annotations.
+ *
+ * @param {string}
+ *            text the exported annotations.
+ * @return {Object} the annotations, see exportAnnotations().
+ * @throws {MegaSeriesError} if a row is invalid.
+ * @private
+ */
+MegaSeries.fromCsv_ = function(text) {
+    var rows = MegaSeries.parseCsv_(text);
+    var header = rows[0] || [];
+    if (header.indexOf('kind') < 0) {
+        throw new MegaSeriesError(
+                'Invalid annotation CSV: the header row has no kind column.');
+    }
+    var data = {series: [], layers: []};
+    var series = {}, layers = {};
+    var layerOf = function(name) {
+        if (!layers[name]) {
+            layers[name] = {name: name, style: {}, items: []};
+            data.layers.push(layers[name]);
+        }
+        return layers[name];
+    };
+    for (var i = 1; i < rows.length; i++) {
+        var fields = {};
+        for (var j = 0; j < header.length; j++) {
+            if (rows[i][j] != undefined && rows[i][j] !== '') {
+                fields[header[j]] = rows[i][j];
+            }
+        }
+        if (!fields.kind) {
+            // blank line.
+            continue;
+        }
+        var item = {title: fields.title, desc: fields.desc};
+        switch (fields.kind) {
+            case 'point':
+                if (!series[fields.series]) {
+                    series[fields.series] =
+                        {name: fields.series, annotations: []};
+                    data.series.push(series[fields.series]);
+                }
+                item.x = fields.x;
+                item.l = fields.l;
+                item.placement = fields.placement != undefined &&
+                        Series.NUMBER_.test(fields.placement) ?
+                        Number(fields.placement) : fields.placement;
+                series[fields.series].annotations.push(item);
+                break;
+            case 'layer':
+                layerOf(fields.layer).style = {
+                    color: fields.color,
+                    lineWidth: fields.lineWidth && Number(fields.lineWidth),
+                    dash: fields.dash,
+                    fillOpacity: fields.fillOpacity &&
+                            Number(fields.fillOpacity),
+                    visible: fields.visible != 'false'
+                };
+                break;
+            case 'event':
+                item.x = fields.x;
+                layerOf(fields.layer).items.push(item);
+                break;
+            case 'range':
+                item.start = fields.x;
+                item.end = fields.end;
+                layerOf(fields.layer).items.push(item);
+                break;
+            default:
+                throw new MegaSeriesError('Invalid kind "' + fields.kind +
+                        '" in row ' + i + ' of the annotation CSV.');
+        }
+    }
+    // the fields missing from a row are not part of its annotation.
+    var prune = function(item) {
+        for (var key in item) {
+            if (item[key] == undefined) {
+                delete item[key];
+            }
+        }
+    };
+    data.series.forEach(function(entry) {
+        entry.annotations.forEach(prune);
+    });
+    data.layers.forEach(function(layer) {
+        layer.items.forEach(prune);
+        prune(layer.style);
+    });
+    return data;
+};
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields holding commas,
+ * quotes and line breaks.
+ *
+ * @param {string}
+ *            text the CSV text.
+ * @return {Array} the rows, each a list of fields.
+ * @private
+ */
+MegaSeries.parseCsv_ = function(text) {
+    var rows = [], row = [], field = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; i++) {
+        var c = text.charAt(i);
+        if (quoted) {
+            if (c == '"' && text.charAt(i + 1) == '"') {
+                field += '"';
+                i++;
+            } else if (c == '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == ',') {
+            row.push(field);
+            field = '';
+        } else if (c == '\n' || c == '\r') {
+            if (c == '\r' && text.charAt(i + 1) == '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Returns the index of the annotation layer with the given name.
+ *
+ * @param {String}
+ *            name the name of the layer.
+ * @return {number} the index, -1 if there is no such layer.
+ * @private
+ */
+MegaSeries.prototype.findLayer_ = function(name) {
+    for (var i = 0; i < this.layers_.length; i++) {
+        if (this.layers_[i].name == name) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * The default colors used by the MegaSeries.
+ *
+ * @enum {string}
+ * @private
+ */
+MegaSeries.DEFAULT_COLORS_ = {
+    X_TICK_RULERS_COLOR: '#eee',
+    Y_TICK_RULERS_COLOR: '#aaa',
+    FOCUS_SELECTBOX_COLOR: 'rgba(128, 128, 128, .2)',
+    CONTEXT_SELECTBOX_COLOR: 'rgba(128, 128, 128, .2)',
+    ZERO_LINE_COLOR: '#666',
+    CALLOUT_COLOR: 'rgba(255, 255, 255, .95)',
+    CALLOUT_BORDER_COLOR: '#999',
+    ANNOTATION_LAYER_COLOR: '#d62728'
+};
+
+/**
+ * The downsampling algorithms that can be used for rendering a Series.
+ *
+ * @enum {string}
+ */
+MegaSeries.Downsample = {
+    NONE: 'none',
+    LTTB: 'lttb'
+};
+
+/**
+ * The ways a Series can be rendered, set through its renderMode option.
+ * ENVELOPE draws a min/max band and a mean line for every pixel column that
+ * holds more than one point.
+ *
+ * @enum {string}
+ */
+MegaSeries.RenderMode = {
+    LINE: 'line',
+    ENVELOPE: 'envelope'
+};
+
+/**
+ * What a Series does with XY data that is not sorted in X order, set through
+ * its unsorted option.
+ *
+ * @enum {string}
+ */
+MegaSeries.UnsortedData = {
+    SORT: 'sort',
+    REJECT: 'reject'
+};
+
+/**
+ * Where the marker of an annotation is placed on the y axis, set through the
+ * annotationPlacement option of a Series or the placement field of an
+ * annotation. NEAREST takes the y of the sample closest in x, INTERPOLATE
+ * the y of the line between the samples on either side and TOP pins the
+ * marker to the top of the focus panel. A number pins the marker to that y
+ * value instead. Annotations outside the data are pinned to the top.
+ *
+ * @enum {string}
+ */
+MegaSeries.AnnotationPlacement = {
+    NEAREST: 'nearest',
+    INTERPOLATE: 'interpolate',
+    TOP: 'top'
+};
+
+/**
+ * The formats annotations are exported to and imported from.
+ *
+ * @enum {string}
+ */
+MegaSeries.AnnotationFormat = {
+    JSON: 'json',
+    CSV: 'csv'
+};
+
+/**
+ * The columns of the CSV annotation format. The kind of a row is 'point' for
+ * an annotation of a Series, 'layer' for the style of an annotation layer and
+ * 'event' or 'range' for its items. The x of a range is its start.
+ *
+ * @type {Array}
+ * @private
+ */
+MegaSeries.CSV_COLUMNS_ = ['kind', 'series', 'layer', 'x', 'end', 'l',
+    'title', 'desc', 'placement', 'color', 'lineWidth', 'dash', 'fillOpacity',
+    'visible'];
+
+/**
+ * The kinds of y scale, set through the yScale entry of the config. LOG
+ * draws values up to zero at the bottom of the axis. SYMLOG is logarithmic
+ * away from zero and linear close to it, so it can show negative values.
+ * SQRT is mirrored for negative values.
+ *
+ * @enum {string}
+ */
+MegaSeries.YScale = {
+    LINEAR: 'linear',
+    LOG: 'log',
+    SYMLOG: 'symlog',
+    SQRT: 'sqrt'
+};
+
+/**
+ * The functions creating each kind of y scale.
+ *
+ * @type {Object}
+ * @private
+ */
+MegaSeries.Y_SCALES_ = {
+    linear: function() {
+        return pv.Scale.linear();
+    },
+    log: function(config) {
+        return MegaSeries.logScale_(config);
+    },
+    symlog: function(config) {
+        var scale = pv.Scale.quantitative().transform(
+            function(x) {
+                return (x < 0 ? -1 : 1) * Math.log(1 + Math.abs(x)) / Math.LN10;
+            },
+            function(y) {
+                return (y < 0 ? -1 : 1) * (Math.pow(10, Math.abs(y)) - 1);
+            });
+        scale.ticks = function() {
+            return MegaSeries.symlogTicks_(scale.domain());
+        };
+        scale.tickFormat = MegaSeries.FORMATTERS_.si(config);
+        return scale;
+    },
+    sqrt: function() {
+        return pv.Scale.quantitative().transform(
+            function(x) {
+                return (x < 0 ? -1 : 1) * Math.sqrt(Math.abs(x));
+            },
+            function(y) {
+                return (y < 0 ? -1 : 1) * y * y;
+            });
+    }
+};
+
+/**
+ * Creates a y scale of the kind set in the config.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {pv.Scale} the scale, without domain and range.
+ * @private
+ */
+MegaSeries.createYScale_ = function(config) {
+    return MegaSeries.Y_SCALES_[config.yScale](config);
+};
+
+/**
+ * Creates a base 10 log scale that maps the values below its domain,
+ * including zero and negative values, to the bottom of its range.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {pv.Scale} the scale.
+ * @private
+ */
+MegaSeries.logScale_ = function(config) {
+    var scale = pv.Scale.quantitative(1, 10);
+    var floor = 1;
+    var transform = function() {
+        return scale.transform(
+            function(x) {
+                return Math.log(Math.max(x, floor)) / Math.LN10;
+            },
+            function(y) {
+                return Math.pow(10, y);
+            });
+    };
+    var domain = scale.domain;
+    scale.domain = function() {
+        if (!arguments.length) {
+            return domain.call(scale);
+        }
+        domain.apply(scale, arguments);
+        floor = domain.call(scale)[0];
+        return transform();
+    };
+    scale.nice = function() {
+        var d = scale.domain();
+        return scale.domain(pv.logFloor(d[0], 10), pv.logCeil(d[1], 10));
+    };
+    scale.ticks = function() {
+        return MegaSeries.logTicks_(scale.domain());
+    };
+    scale.tickFormat = MegaSeries.FORMATTERS_.si(config);
+    return transform();
+};
+
+/**
+ * Returns a valid log domain holding the given values. Without positive
+ * values below the highest one, the domain starts one decade below it, or at
+ * one if that is lower.
+ *
+ * @param {number}
+ *            min the lowest value.
+ * @param {number}
+ *            max the highest value.
+ * @return {Array} the domain as [min, max].
+ * @private
+ */
+MegaSeries.logDomain_ = function(min, max) {
+    if (!(max > 0)) {
+        return [1, 10];
+    }
+    if (!(min > 0) || min == max) {
+        min = Math.min(1, max / 10);
+    }
+    return [min, max];
+};
+
+/**
+ * Returns the ticks of a log scale: every power of ten, with 2 and 5 times
+ * or all the multiples in between when the domain spans few decades.
+ *
+ * @param {Array}
+ *            domain the domain of the scale.
+ * @return {Array} list of ticks.
+ * @private
+ */
+MegaSeries.logTicks_ = function(domain) {
+    var first = Math.floor(Math.log(domain[0]) / Math.LN10);
+    var last = Math.ceil(Math.log(domain[1]) / Math.LN10);
+    var multiples = last - first > 3 ? [1] :
+            last - first > 1 ? [1, 2, 5] : [1, 2, 3, 4, 5, 6, 7, 8, 9];
+    var ticks = [];
+    for (var i = first; i <= last; i++) {
+        for (var j = 0; j < multiples.length; j++) {
+            var tick = multiples[j] * Math.pow(10, i);
+            if (tick >= domain[0] && tick <= domain[1]) {
+                ticks.push(tick);
+            }
+        }
+    }
+    return ticks;
+};
+
+/**
+ * Returns the ticks of a symlog scale: zero and the powers of ten on either
+ * side of it, or linear ticks for domains too narrow to hold three of them.
+ *
+ * @param {Array}
+ *            domain the domain of the scale.
+ * @return {Array} list of ticks.
+ * @private
+ */
+MegaSeries.symlogTicks_ = function(domain) {
+    var ticks = [];
+    if (domain[0] <= 0 && domain[1] >= 0) {
+        ticks.push(0);
+    }
+    for (var tick = 1; tick <= Math.max(-domain[0], domain[1]); tick *= 10) {
+        if (tick <= domain[1] && tick >= domain[0]) {
+            ticks.push(tick);
+        }
+        if (-tick >= domain[0] && -tick <= domain[1]) {
+            ticks.unshift(-tick);
+        }
+    }
+    if (ticks.length < 3) {
+        return pv.Scale.linear(domain[0], domain[1]).ticks(7);
+    }
+    return ticks;
+};
+
+/**
+ * The named palettes, set through the palette entry of the config. The
+ * Protovis color bands are followed by generated colors when there are more
+ * Series than colors. DISTINCT only has generated colors, with hues spread
+ * by the golden angle so neighbouring Series stay apart.
+ *
+ * @enum {string}
+ */
+MegaSeries.Palette = {
+    CATEGORY10: 'category10',
+    CATEGORY19: 'category19',
+    CATEGORY20: 'category20',
+    DISTINCT: 'distinct'
+};
+
+/**
+ * Returns the function giving the color of each Series for a palette entry of
+ * the config.
+ *
+ * @param {MegaSeries.Palette|Array|Function}
+ *            palette the name of a palette, an array of colors or a function
+ *            from the index of a Series to its color.
+ * @return {Function} the function from the index of a Series to its color.
+ * @throws {MegaSeriesError} if the palette is not valid.
+ * @private
+ */
+MegaSeries.getPalette_ = function(palette) {
+    if (typeof palette == 'function') {
+        return function(index) {
+            return pv.color(palette(index));
+        };
+    }
+    var colors;
+    if (palette instanceof Array) {
+        colors = palette.map(pv.color);
+    } else if (palette == MegaSeries.Palette.DISTINCT) {
+        colors = [];
+    } else if (palette == MegaSeries.Palette.CATEGORY10 ||
+               palette == MegaSeries.Palette.CATEGORY19 ||
+               palette == MegaSeries.Palette.CATEGORY20) {
+        colors = pv.Colors[palette]().range();
+    } else {
+        throw new MegaSeriesError('Unknown palette "' + palette + '".');
+    }
+    return function(index) {
+        return colors[index] ||
+                MegaSeries.distinctColor_(index - colors.length);
+    };
+};
+
+/**
+ * Generates the color of the given index, turning the hue by the golden angle
+ * and alternating the lightness from one index to the next.
+ *
+ * @param {number}
+ *            index the index of the color.
+ * @return {pv.Color} the color.
+ * @private
+ */
+MegaSeries.distinctColor_ = function(index) {
+    return pv.hsl((index * 137.508) % 360, .65, index % 2 ? .6 : .45).rgb();
+};
+
+/**
+ * The values the areas under the Series can be filled toward, set through
+ * the baseline entry of the config. A number can be given instead.
+ *
+ * @enum {string}
+ */
+MegaSeries.Baseline = {
+    ZERO: 'zero',
+    MIN: 'min'
+};
+
+/**
+ * The ways the focus y axis can be fitted, set through the yFit entry of the
+ * config or setYFit(). FULL fits the whole data, AUTO the data visible in the
+ * focus panel and LOCK keeps the current domain while zooming and panning.
+ *
+ * @enum {string}
+ */
+MegaSeries.YFit = {
+    FULL: 'full',
+    AUTO: 'auto',
+    LOCK: 'lock'
+};
+
+/**
+ * The kinds of x axis, set through the xAxis entry of the config. AUTO uses a
+ * time axis if the x values are Dates, TIME is needed for x values given as
+ * epoch milliseconds.
+ *
+ * @enum {string}
+ */
+MegaSeries.XAxis = {
+    AUTO: 'auto',
+    LINEAR: 'linear',
+    TIME: 'time'
+};
+
+/**
+ * The preset formatters that can be named in the formatters entry of the
+ * config instead of a function.
+ *
+ * @enum {string}
+ */
+MegaSeries.Format = {
+    // 1.5k, 20M, 3.1G.
+    SI: 'si',
+    // 1.5 KB, 20 MB, in powers of 1024.
+    BYTES: 'bytes',
+    // fractions as percents, .25 as 25%.
+    PERCENT: 'percent',
+    // amounts in the currency of the config, $1,234.50 or 1.234,50 €.
+    CURRENCY: 'currency'
+};
+
+/**
+ * The functions creating the preset formatters, for the locale and the
+ * currency of a config. The numbers are in US English when the config has
+ * no locale.
+ *
+ * @type {Object}
+ * @private
+ */
+MegaSeries.FORMATTERS_ = {
+    si: function(config) {
+        var formats = MegaSeries.unitFormats_(config);
+        return function(value) {
+            return MegaSeries.formatUnits_(value, 1000,
+                    ['', 'k', 'M', 'G', 'T', 'P'], '', formats);
+        };
+    },
+    bytes: function(config) {
+        var formats = MegaSeries.unitFormats_(config);
+        return function(value) {
+            return MegaSeries.formatUnits_(value, 1024,
+                    ['B', 'KB', 'MB', 'GB', 'TB', 'PB'], ' ', formats);
+        };
+    },
+    percent: function(config) {
+        var format = new Intl.NumberFormat(MegaSeries.numberLocale_(config),
+                {style: 'percent', maximumFractionDigits: 1});
+        return function(value) {
+            return format.format(value);
+        };
+    },
+    currency: function(config) {
+        var format = new Intl.NumberFormat(MegaSeries.numberLocale_(config),
+                {style: 'currency', currency: config.currency || 'USD'});
+        return function(value) {
+            return format.format(value);
+        };
+    }
+};
+
+/**
+ * Returns the locale of the numbers of the preset formatters.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {string} the locale of the config, or 'en-US' if it has none.
+ * @private
+ */
+MegaSeries.numberLocale_ = function(config) {
+    return config.locale || 'en-US';
+};
+
+/**
+ * Creates the number formats used by formatUnits_ for the locale of a
+ * config.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {Object} the formats, in the form of {whole:, precise:, tiny:}.
+ * @private
+ */
+MegaSeries.unitFormats_ = function(config) {
+    var locale = MegaSeries.numberLocale_(config);
+    return {
+        whole: new Intl.NumberFormat(locale, {maximumFractionDigits: 0}),
+        precise: new Intl.NumberFormat(locale, {maximumSignificantDigits: 3}),
+        tiny: new Intl.NumberFormat(locale,
+                {notation: 'scientific', maximumFractionDigits: 2})
+    };
+};
+
+/**
+ * Returns the formatter function for a formatters entry of the config.
+ *
+ * @param {Function|string|undefined}
+ *            formatter a function, the name of a preset from
+ *            MegaSeries.Format or undefined for the default format.
+ * @param {Object}
+ *            config MegaSeries config dictionary, whose locale and currency
+ *            the presets use.
+ * @return {?Function} the formatter, or null for the default format.
+ * @throws {MegaSeriesError} if there is no preset with the given name.
+ * @private
+ */
+MegaSeries.getFormatter_ = function(formatter, config) {
+    if (formatter == null) {
+        return null;
+    }
+    if (typeof formatter == 'function') {
+        return formatter;
+    }
+    if (!MegaSeries.FORMATTERS_.hasOwnProperty(formatter)) {
+        throw new MegaSeriesError('Unknown formatter "' + formatter + '".');
+    }
+    return MegaSeries.FORMATTERS_[formatter](config);
+};
+
+/**
+ * Formats a value with the largest unit it has at least one of, keeping three
+ * significant digits.
+ *
+ * @param {number}
+ *            value the value to format.
+ * @param {number}
+ *            base the ratio between successive units.
+ * @param {Array}
+ *            units the unit suffixes, from the smallest.
+ * @param {string}
+ *            separator the text between the number and the unit.
+ * @param {Object}
+ *            formats the number formats from unitFormats_.
+ * @return {string} the formatted value.
+ * @private
+ */
+MegaSeries.formatUnits_ = function(value, base, units, separator, formats) {
+    var scaled = Math.abs(value);
+    var unit = 0;
+    while (scaled >= base && unit < units.length - 1) {
+        scaled /= base;
+        unit++;
+    }
+    var format = scaled >= 100 ? formats.whole : formats.precise;
+    if (scaled != 0 && scaled < 1e-3) {
+        format = formats.tiny;
+    }
+    var text = format.format(scaled);
+    return (value < 0 ? '-' : '') + text + separator + units[unit];
+};
+
+/**
+ * Formats a y value for the legend, with the legendValue formatter of the
+ * config if there is one.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {number}
+ *            y the value to format.
+ * @param {Series}
+ *            series the Series the value belongs to.
+ * @return {string} the formatted value.
+ * @private
+ */
+MegaSeries.formatValue_ = function(config, y, series) {
+    var formatter = config.formatters.legendValue;
+    return formatter ? formatter(y, series) : Number(y).toFixed(2);
+};
+
+/**
+ * Formats the hover readout of a point, with the tooltip formatter of the
+ * config if there is one. The default readout is the x value formatted like
+ * the x ticks, followed by the y value formatted like the legend and the
+ * bounds of the error band if the point has one.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Object}
+ *            point the point under the mouse, in the form of {x:, y:}.
+ * @param {Series}
+ *            series the Series the point belongs to.
+ * @return {string} the readout.
+ * @private
+ */
+MegaSeries.formatReadout_ = function(config, point, series) {
+    var formatters = config.formatters;
+    if (formatters.tooltip) {
+        return formatters.tooltip(point, series);
+    }
+    var x;
+    if (formatters.xTick) {
+        x = formatters.xTick(point.x);
+    } else if (config.timeAxis) {
+        x = MegaSeries.dateFormat_(config, MegaSeries.READOUT_FORMAT_[0],
+                MegaSeries.READOUT_FORMAT_[1])(new Date(+point.x));
+    } else {
+        x = config.fx.tickFormat(point.x);
+    }
+    var readout = series.name + ' ' + x + ': ' +
+            MegaSeries.formatValue_(config, point.y, series);
+    if (point.lower != undefined) {
+        readout += ' [' + MegaSeries.formatValue_(config, point.lower, series) +
+                ', ' + MegaSeries.formatValue_(config, point.upper, series) +
+                ']';
+    }
+    return readout;
+};
+
+/**
+ * Renders the MegaSeries using Protovis Visualization Library from Stanford
+ * Visualization Group (which uses SVG internally).
+ *
+ * @param {!Object}
+ *            config The visualization configuration.
+ *
+ * @see http://vis.stanford.edu/protovis
+ * @private
+ */
+MegaSeries.prototype.drawVisualization_ = function(config) {
+    // Root panel, kept around so appendData() can re-render it.
+    // room for the x-axis labels, two rows of them on a time axis.
+    var axisHeight = config.timeAxis ? 32 : 20;
+    // also used to place the annotation editor over the widget.
+    config.marginLeft =
+            Math.max(config.axisWidths.left, MegaSeries.AXIS_WIDTH_);
+    var vis = this.vis_ = new pv.Panel()
+        .canvas(this.container_)
+        .width(config.width)
+        .height(config.focusPanelHeight + axisHeight +
+                config.contextPanelHeight)
+        .bottom(axisHeight)
+        .left(config.marginLeft)
+        .right(20 + config.axisWidths.right)
+        .top(MegaSeries.MARGIN_TOP_);
+
+    if (config.followLatest) {
+        MegaSeries.stickToLatest_(config);
+    }
+
+    // assigning a variable to the MegaSeries because the scope is lost inside
+    // the Protovis calls.
+    var megaSeries = this;
+    config.layers = this.layers_;
+
+    // Focus panel (zoomed in). Its datum is the visible part of each Series,
+    // computed once per render so the y axis can be fitted to it first.
+    var focus = vis.add(pv.Panel)
+        .data(function() {
+            return [megaSeries.updateFocus_(config)];
+        })
+        .top(0)
+        .height(config.focusPanelHeight);
+
+    this.transformSeries_(config, this.series[0]);
+
+    // X-axis tick rulers.
+    var focusXTicks = focus.add(pv.Rule)
+        .data(function() {
+            return MegaSeries.xTicks_(config, config.fx);
+        })
+        .left(function(d) {
+            return config.fx(d.x);
+        })
+        .strokeStyle(config.colors.xTickRulers);
+    MegaSeries.addTickLabels_(focusXTicks);
+
+    // Y-axis ticks, with grid lines for the first axis only.
+    for (var i = 0; i < config.yAxes.length; i++) {
+        MegaSeries.addYAxis_(config, focus, config.yAxes[i], i == 0);
+    }
+    MegaSeries.addZeroLine_(config, focus, config.fy);
+    MegaSeries.addLayerRanges_(config, focus, 'fx', true);
+
+    // flags to separate mousemove behavior and mouseclick/select behavior
+    var isMouseOver = false;
+    var isMouseClick = false;
+
+    // Focus area chart. One panel is created per series
+    var panel = focus.add(pv.Panel)
+        .data(this.series)
+        .overflow('hidden')
+        .cursor('crosshair');
+    MegaSeries.addErrorBand_(config, panel, 'fx', 'fy', function(s, slices) {
+        return slices[this.parent.index];
+    });
+    var focusLine = panel.add(pv.Area)
+        .data(function(s, slices) {
+            return slices[this.parent.index];
+        })
+        .left(function(d) {
+            return config.fx(d.x);
+        })
+        .bottom(function(d, s) {
+            var fy = MegaSeries.axisOf_(config, s).fy;
+            if (!MegaSeries.isEnvelope_(d, s)) {
+                return 1 + fy(MegaSeries.baseline_(config, fy));
+            }
+            return 1 + fy(d.min);
+        })
+        .height(function(d, s) {
+            var fy = MegaSeries.axisOf_(config, s).fy;
+            if (!MegaSeries.isEnvelope_(d, s)) {
+                return fy(d.y) - fy(MegaSeries.baseline_(config, fy));
+            }
+            return fy(d.max) - fy(d.min);
+        })
+        .fillStyle(function(d, s) {
+            return MegaSeries.fillColor_(config, s, this.parent.index);
+        })
+        .anchor('top')
+    // the stroke on top of area chart (the mean in envelope mode)
+    .add(pv.Line)
+        .bottom(function(d, s) {
+            return 1 + MegaSeries.axisOf_(config, s).fy(d.y);
+        })
+        .fillStyle(null)
+        .strokeStyle(function(d, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+        .lineWidth(function(d, s) {
+            return s.lineWidth || 1;
+        });
+    // moving dot on top of each series
+    var movingDot = focusLine.add(pv.Dot)
+        .visible(function() {
+            return config.p >= 0;
+        })
+        .data(function(s, slices) {
+            var point = config.p >= 0 &&
+                MegaSeries.pointAt_(slices[this.parent.index], config.mx);
+            return point ? [point] : [];
+        })
+        .left(function(d) {
+            if (d)
+                return config.fx(d.x);
+        })
+        .bottom(function(d, s) {
+            if (d)
+                return MegaSeries.axisOf_(config, s).fy(d.y);
+        })
+        .shape(function(d, s) {
+            return s.marker || 'circle';
+        })
+        .fillStyle(function(d, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+        .strokeStyle(function(d, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+        .size(10)
+        .lineWidth(1);
+    // hover readout on the upper right side. A title on the dot would never
+    // show, the focusZoom panel above it takes the mouse.
+    movingDot.add(pv.Label)
+        .left(null)
+        .bottom(null)
+        .right(5)
+        .top(function() {
+            return this.parent.index * 12 + 10;
+        })
+        .textAlign('right')
+        .textBaseline('middle')
+        .textStyle(function(d, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+        .text(function(d, s) {
+            return MegaSeries.formatReadout_(config, d, s);
+        });
+    // legend on the upper left side
+    movingDot.add(pv.Dot)
+        .left(5)
+        .top(function() {
+            return this.parent.index * 12 + 10;
+        })
+        .anchor('right')
+        .add(pv.Label)
+        .text(function(d, s) {
+            if (d) {
+                return MegaSeries.formatValue_(config, d.y, s);
+            }
+        });
+
+    // dictionary to contain zoomarea
+    var zoomarea = {
+        x: 0,
+        dx: 0
+    };
+
+    // function to be called after selection is done on the focus panel to
+    // slice the data and update the size of the selection in on the context
+    // panel.
+    var zoom = function() {
+        var transform = pv.Scale.linear(0, config.width).range(
+                config.zoomstart, config.zoomend);
+        var d1 = transform(zoomarea.x), d2 =
+          transform(zoomarea.x + zoomarea.dx);
+        var end = zoomarea.x + zoomarea.dx;
+        var width = d2 - d1;
+        config.i.x = d1;
+        config.i.dx = width;
+    };
+
+    // function that handles zooming using mouse gestures (scroll wheel)
+    var mouseZoom = function() {
+        var t = this.transform();
+        var scaleFactor = 1 + ((t.k - 1.) * 100);
+
+        if ((config.i.x + scaleFactor * config.i.dx) < config.width) {
+            if (t.k * scaleFactor * (config.i.dx) > 1) {
+                config.i.dx = config.i.dx * scaleFactor;
+            } else {
+                config.i.dx = 1;
+            }
+        } else {
+            config.i.dx = config.width - config.i.x;
+        }
+        t.k = 1;
+        return vis;
+    };
+
+    var updateBar = function() {
+        vis.render();
+    };
+
+    // add handlers on the focus panel to perform select and zoom and mouse
+    // scaling feature.
+    // legend is also populated here (see mousemove event)
+    var focusZoom = focus.add(pv.Panel)
+            .cursor('crosshair')
+            .data([zoomarea])
+            .events('all')
+            .event('selectstart', function() {
+                isMouseClick = true;
+                return focusBar.width(function(d) {
+                    return d.dx;
+                });
+            })
+            .event('mousedown', pv.Behavior.select())
+            .event('select', function() {
+                // in editing mode the selection brushes a range instead.
+                if (!config.annotationEditing) {
+                    zoom();
+                }
+            })
+            .event('selectend', function() {
+                isMouseClick = false;
+                if (config.annotationEditing) {
+                    megaSeries.createAnnotation_(config, zoomarea);
+                }
+                return focusBar.width(0);
+            })
+            .event('mouseup', updateBar)
+            .event('mousewheel', pv.Behavior.zoom())
+            .event('zoom', mouseZoom)
+            .event('zoomend', updateBar)
+            .event('mouseout', function() {
+                config.p = -1;
+                return vis;
+            })
+            .event('mousemove', function() {
+                if (!isMouseClick) {
+                    var mx = config.mx = config.fx.invert(vis.mouse().x);
+                    config.p = pv.search(config.dd.map(function(d) {
+                        return d.x;
+                    }), mx);
+                    config.p = config.p < 0 ? (-config.p - 2) : config.p;
+                    // run handler
+                    if (config.mouseMoveHandler) {
+                        config.mouseMoveHandler();
+                    }
+                    return focus;
+                }
+            });
+
+    var focusBar = focusZoom.add(pv.Bar)
+      .left(function(d) {
+          return d.x;
+      })
+      .width(function(d) {
+          return d.dx;
+      })
+      .fillStyle(config.colors.focusSelectBox);
+
+    // annotation markers and event lines, on top of the zoom handlers so
+    // they get the mouse.
+    var focusEvents = MegaSeries.addLayerEvents_(config, focus, 'fx');
+    this.addRangeTabs_(config, focus);
+    this.addAnnotations_(config, focus);
+
+    // Context panel (zoomed out).
+    var contextRoot = vis.add(pv.Panel)
+       .bottom(0)
+       .height(config.contextPanelHeight);
+
+    // Context panel (zoomed out).
+    var context = contextRoot.add(pv.Panel)
+      .data(this.series);
+
+    // the context panel always shows the whole series, so it is only
+    // downsampled once per draw rather than on every render.
+    config.overviews = this.series.map(function(s, index) {
+        // provider backed series load their data asynchronously.
+        s.dataChangeHandler = function() {
+            config.overviews[index] = MegaSeries.overview_(config, s);
+            megaSeries.render_();
+        };
+        return MegaSeries.overview_(config, s);
+    });
+
+    // X-axis ticks.
+    var contextXTicks = contextRoot.add(pv.Rule)
+      .data(function() {
+          return MegaSeries.xTicks_(config, config.x);
+      })
+      .left(function(d) {
+          return config.x(d.x);
+      })
+      .strokeStyle(config.colors.xTickRulers);
+    MegaSeries.addTickLabels_(contextXTicks);
+
+    // Y-axis ticks.
+    contextRoot.add(pv.Rule)
+      .bottom(0);
+    MegaSeries.addZeroLine_(config, contextRoot, config.y);
+    MegaSeries.addLayerRanges_(config, contextRoot, 'x', false);
+
+    // pointer to the selected point on the canvas
+    config.p = -1;
+
+    // Context area chart.
+    MegaSeries.addErrorBand_(config, context, 'x', 'y', function() {
+        return config.overviews[this.parent.index];
+    });
+    var contextLine = context.add(pv.Area)
+      .data(function() {
+          return config.overviews[this.parent.index];
+      })
+      .left(function(d) {
+          return config.x(d.x);
+      })
+      .bottom(function(d, s) {
+          var y = MegaSeries.axisOf_(config, s).y;
+          if (!MegaSeries.isEnvelope_(d, s)) {
+              return 1 + y(MegaSeries.baseline_(config, y));
+          }
+          return 1 + y(d.min);
+      })
+      .height(function(d, s) {
+          var y = MegaSeries.axisOf_(config, s).y;
+          if (!MegaSeries.isEnvelope_(d, s)) {
+              return y(d.y) - y(MegaSeries.baseline_(config, y));
+          }
+          return y(d.max) - y(d.min);
+      })
+      .fillStyle(function(d, s) {
+          return MegaSeries.fillColor_(config, s, this.parent.index);
+      })
+      .overflow('hidden')
+       .anchor('top')
+       .add(pv.Line)
+       .bottom(function(d, s) {
+           return 1 + MegaSeries.axisOf_(config, s).y(d.y);
+       })
+       .strokeStyle(function(d, s) {
+         return MegaSeries.strokeColor_(config, s, this.parent.index);
+       })
+       .lineWidth(function(d, s) {
+         return s.lineWidth || 1;
+       });
+    MegaSeries.addAnnotationTicks_(config, context);
+    var contextEvents = MegaSeries.addLayerEvents_(config, contextRoot, 'x');
+
+    // the user picking another range stops the live tail.
+    var unfollow = function() {
+        config.followLatest = megaSeries.followLatest_ = false;
+    };
+
+    // The selectable, draggable focus region.
+    var footerfocus = contextRoot.add(pv.Panel)
+      .data([config.i])
+      .cursor('crosshair')
+      .events('all')
+      .event('mousedown', pv.Behavior.select())
+      .event('selectstart', unfollow)
+      .event('selectend', focus);
+
+    footerfocus.add(pv.Bar)
+      .left(function(d) {
+          return d.x;
+      })
+      .width(function(d) {
+          return d.dx;
+      })
+      .fillStyle(config.colors.contextSelectBox)
+      .cursor('move')
+      .event('mousedown', pv.Behavior.drag())
+      .event('dragstart', unfollow)
+      .event('dragend', focus);
+
+    this.dashedMarks_ = [focusLine, contextLine, focusEvents, contextEvents];
+    // finally, render the entire widget.
+    this.render_();
+};
+
+/**
+ * Renders the whole widget and sets the dash patterns of its lines, see
+ * applyDashes_(). Used wherever the Series or layers shown may have changed.
+ *
+ * @private
+ */
+MegaSeries.prototype.render_ = function() {
+    this.vis_.render();
+    MegaSeries.applyDashes_(this.dashedMarks_);
+};
+
+/**
+ * Sets the dash pattern of each {@link Series} or annotation layer on the SVG
+ * group Protovis renders its line mark into, as Protovis has no dash pattern
+ * property. The elements of the mark inherit the pattern, including the ones
+ * added by later renders of the mark, so it is only set again when the
+ * panels of Series or layers themselves are rendered anew.
+ *
+ * @param {Array}
+ *            marks the line marks, each added to a panel of Series or of
+ *            annotation layers.
+ * @private
+ */
+MegaSeries.applyDashes_ = function(marks) {
+    for (var i = 0; i < marks.length; i++) {
+        // the child indexes from the root panel down to the mark.
+        var path = [];
+        for (var mark = marks[i]; mark.parent; mark = mark.parent) {
+            path.unshift(mark.childIndex);
+        }
+        var walk = function(instances, depth) {
+            for (var j = 0; j < instances.length; j++) {
+                var children = instances[j].children;
+                var scenes = children && children[path[depth]];
+                if (!scenes) {
+                    continue;
+                }
+                if (depth < path.length - 1) {
+                    walk(scenes, depth + 1);
+                } else if (scenes.$g) {
+                    // the instance is the one of the panel of the Series
+                    // or layer.
+                    var dash = instances[j].data.dash;
+                    if (dash) {
+                        scenes.$g.setAttribute('stroke-dasharray', dash);
+                    } else {
+                        scenes.$g.removeAttribute('stroke-dasharray');
+                    }
+                }
+            }
+        };
+        walk(marks[i].root.scene || [], 0);
+    }
+};
+
+/**
+ * Returns the ticks for an x scale, as {x:, label:, sublabel:} dictionaries.
+ * The sublabel is only set on a time axis, for the first tick and wherever
+ * the coarser unit it shows (e.g. the day under hours) changes.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Scale}
+ *            scale the x scale of the focus or context panel.
+ * @return {Object} list of ticks.
+ * @private
+ */
+MegaSeries.xTicks_ = function(config, scale) {
+    // about one tick per 100 pixels.
+    var count = Math.max(2, Math.floor(config.width / 100));
+    var format = config.formatters.xTick;
+    if (!config.timeAxis) {
+        return scale.ticks(count).map(function(x) {
+            return {x: x, label: format ? format(x) : scale.tickFormat(x)};
+        });
+    }
+    // the ticks are laid out on the wall clock of the time zone.
+    var domain = scale.domain();
+    var start = MegaSeries.toZone_(config, +domain[0]);
+    var end = MegaSeries.toZone_(config, +domain[1]);
+    var interval = MegaSeries.timeInterval_(start, end, count);
+    var formats = MegaSeries.TIME_FORMATS_[interval.unit];
+    var options = MegaSeries.TIME_FORMAT_OPTIONS_[interval.unit];
+    var label = MegaSeries.dateFormat_(config, formats[0], options[0]);
+    var sublabel = formats[1] &&
+            MegaSeries.dateFormat_(config, formats[1], options[1]);
+    var previous = null;
+    var ticks = MegaSeries.timeTicks_(start, end, interval, !!config.timeZone);
+    return ticks.map(function(wall) {
+        var date = new Date(MegaSeries.fromZone_(config, +wall));
+        var tick = {x: date, label: format ? format(date) : label(date)};
+        if (sublabel) {
+            var text = sublabel(date);
+            if (text != previous) {
+                tick.sublabel = previous = text;
+            }
+        }
+        return tick;
+    });
+};
+
+/**
+ * Adds the ticks and the label of a y axis to the focus panel. Axes after the
+ * first on their side are drawn outside the panel, past the ones before.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            panel the focus panel.
+ * @param {Object}
+ *            axis the y axis.
+ * @param {boolean}
+ *            grid whether the ticks span the whole panel.
+ * @private
+ */
+MegaSeries.addYAxis_ = function(config, panel, axis, grid) {
+    var format = axis.formatter || config.formatters.yTick;
+    var ticks = panel.add(pv.Rule)
+        .data(function() {
+            return axis.fy.ticks(7);
+        })
+        .bottom(axis.fy)
+        .strokeStyle(config.colors.yTickRulers);
+    if (!grid && axis.side == 'right') {
+        ticks.width(5).right(-axis.offset - 5);
+    } else if (!grid) {
+        ticks.width(5).left(-axis.offset - 5);
+    }
+    ticks.anchor(axis.side)
+        .add(pv.Label)
+        .text(function(d) {
+            return format ? format(d) : axis.fy.tickFormat(d);
+        });
+
+    if (axis.label) {
+        var position = -axis.offset - MegaSeries.AXIS_WIDTH_ + 10;
+        var label = panel.add(pv.Label)
+            .bottom(config.focusPanelHeight / 2)
+            .textAlign('center')
+            .textBaseline('middle')
+            .text(axis.label);
+        if (axis.side == 'right') {
+            label.right(position).textAngle(Math.PI / 2);
+        } else {
+            label.left(position).textAngle(-Math.PI / 2);
+        }
+    }
+};
+
+/**
+ * Returns the last of the given points at or before an x value.
+ *
+ * @param {Array}
+ *            points the points, sorted by x.
+ * @param {number}
+ *            x the x value.
+ * @return {?Object} the point, or null if all points are after x.
+ * @private
+ */
+MegaSeries.pointAt_ = function(points, x) {
+    var low = 0, high = points ? points.length : 0;
+    while (low < high) {
+        var middle = (low + high) >> 1;
+        if (+points[middle].x <= x) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low ? points[low - 1] : null;
+};
+
+/**
+ * Returns the annotations of a {@link Series} within the domain of an x scale,
+ * grouped into markers. Annotations less than annotationClusterWidth pixels
+ * after the first one of a marker join that marker.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series the annotations belong to.
+ * @param {pv.Scale}
+ *            scale the x scale of the focus or context panel.
+ * @return {Object} list of markers in the form of {left:, y:, annotations:},
+ *            left being in pixels and y the y value of the first annotation.
+ * @private
+ */
+MegaSeries.annotationMarkers_ = function(config, series, scale) {
+    var annotations = series.getAnnotations();
+    if (!(annotations instanceof Array)) {
+        return [];
+    }
+    var domain = scale.domain();
+    // annotation x values can be date strings, like the XY data.
+    var xOf = function(a) {
+        return Series.parseValue_(a.x, true);
+    };
+    var visible = annotations.filter(function(a) {
+        return xOf(a) >= +domain[0] && xOf(a) <= +domain[1];
+    }).sort(function(a, b) {
+        return xOf(a) - xOf(b);
+    });
+    var markers = [], marker = null;
+    for (var i = 0; i < visible.length; i++) {
+        var left = scale(xOf(visible[i]));
+        if (marker && left - marker.left < config.annotationClusterWidth) {
+            marker.annotations.push(visible[i]);
+        } else {
+            marker = {left: left, y: visible[i].y, annotations: [visible[i]]};
+            markers.push(marker);
+        }
+    }
+    return markers;
+};
+
+/**
+ * Returns the text of the flag of an annotation marker: the l field of its
+ * annotation, or the number of annotations it holds in parentheses.
+ *
+ * @param {Object}
+ *            marker the marker, see annotationMarkers_().
+ * @return {string} the text of the flag.
+ * @private
+ */
+MegaSeries.markerLabel_ = function(marker) {
+    if (marker.annotations.length > 1) {
+        return '(' + marker.annotations.length + ')';
+    }
+    var l = marker.annotations[0].l;
+    return l == undefined ? '' : String(l);
+};
+
+/**
+ * Adds the annotation markers of each {@link Series} to the focus panel, as
+ * flags on a short pole standing on the line, and the callout showing the
+ * annotations of a marker. Flags of annotations without a y value hang from
+ * the top of the panel. Hovering a flag shows its callout, clicking it keeps
+ * the callout open until it or the flag is clicked again. In annotation
+ * editing mode, a flag is dragged to move its annotations instead. Clicking
+ * it edits its annotation, or opens the callout of a cluster, whose lines
+ * are clicked to edit each of its annotations.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            focus the focus panel, its datum being the rendered points of
+ *            each Series.
+ * @private
+ */
+MegaSeries.prototype.addAnnotations_ = function(config, focus) {
+    var megaSeries = this;
+    var height = config.focusPanelHeight;
+    // the markers of each Series, recomputed on every render.
+    config.markers = [];
+    config.callout = null;
+
+    var flags = focus.add(pv.Panel)
+        .data(function() {
+            return config.series;
+        })
+      .add(pv.Rule)
+        .data(function(s) {
+            var fy = MegaSeries.axisOf_(config, s).fy;
+            var markers = MegaSeries.annotationMarkers_(config, s, config.fx);
+            for (var i = 0; i < markers.length; i++) {
+                var m = markers[i];
+                var base = m.y == undefined ? height :
+                        Math.max(0, Math.min(height, 1 + fy(m.y)));
+                // the flag points down where there is no room above.
+                var up = base + MegaSeries.FLAG_POLE_ +
+                        MegaSeries.FLAG_HEIGHT_ <= height;
+                m.pole = up ? base : base - MegaSeries.FLAG_POLE_;
+                m.flag = up ? base + MegaSeries.FLAG_POLE_ :
+                        m.pole - MegaSeries.FLAG_HEIGHT_;
+                m.text = MegaSeries.markerLabel_(m);
+            }
+            config.markers[this.parent.index] = markers;
+            return markers;
+        })
+        .left(function(m) {
+            return m.left;
+        })
+        .bottom(function(m) {
+            return m.pole;
+        })
+        .height(MegaSeries.FLAG_POLE_)
+        .strokeStyle(function(m, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+      .add(pv.Bar)
+        .bottom(function(m) {
+            return m.flag;
+        })
+        .width(function(m) {
+            return m.text.length * 6 + 6;
+        })
+        .height(MegaSeries.FLAG_HEIGHT_)
+        .fillStyle(function(m, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        })
+        .cursor('pointer')
+        .event('mouseover', function(m) {
+            if (!config.callout || !config.callout.pinned) {
+                config.callout = {marker: m, series: this.parent.index};
+                return focus;
+            }
+        })
+        .event('mouseout', function() {
+            if (config.callout && !config.callout.pinned) {
+                config.callout = null;
+                return focus;
+            }
+        })
+        .event('mousedown', function(m) {
+            if (!config.annotationEditing) {
+                return;
+            }
+            var index = this.parent.index;
+            var targets = m.annotations.map(function(a) {
+                return {annotation: a, series: megaSeries.series[index],
+                    layer: null};
+            });
+            config.callout = null;
+            megaSeries.dragAnnotation_(config, focus, targets, m.left,
+                    function() {
+                // a cluster is edited through the lines of its callout.
+                if (targets.length == 1) {
+                    megaSeries.openAnnotationEditor_(targets[0], m.left,
+                            height - m.flag);
+                } else {
+                    config.callout = {marker: m, series: index, pinned: true};
+                    focus.render();
+                }
+            });
+        })
+        .event('click', function(m) {
+            if (config.annotationEditing) {
+                return;
+            }
+            var callout = config.callout;
+            var same = callout && callout.marker.annotations[0] ==
+                    m.annotations[0];
+            config.callout = same && callout.pinned ? null :
+                    {marker: m, series: this.parent.index, pinned: true};
+            return focus;
+        });
+    flags.anchor('center').add(pv.Label)
+        .text(function(m) {
+            return m.text;
+        })
+        .textStyle('white')
+        .events('none');
+
+    // the callout follows its marker as the focus is zoomed and panned. A
+    // closed callout is hidden rather than removed, so its scene outlives the
+    // click that closes it.
+    var callout = focus.add(pv.Panel)
+        .data(function() {
+            var c = config.callout;
+            var marker = c && MegaSeries.findMarker_(config.markers[c.series],
+                    c.marker.annotations[0]);
+            if (!marker) {
+                config.callout = null;
+                return [null];
+            }
+            var lines = MegaSeries.calloutLines_(marker.annotations);
+            var width = 10 + 6 * Math.max.apply(null, lines.map(function(l) {
+                return l.text.length;
+            }));
+            var calloutHeight = 6 + 12 * lines.length;
+            return [{
+                lines: lines,
+                left: Math.max(0, Math.min(marker.left + 8,
+                        config.width - width)),
+                bottom: Math.max(0, Math.min(marker.flag +
+                        MegaSeries.FLAG_HEIGHT_ + 4, height - calloutHeight)),
+                width: width,
+                height: calloutHeight
+            }];
+        })
+        .visible(function(c) {
+            return c != null;
+        })
+        .left(function(c) {
+            return c.left;
+        })
+        .bottom(function(c) {
+            return c.bottom;
+        })
+        .width(function(c) {
+            return c.width;
+        })
+        .height(function(c) {
+            return c.height;
+        })
+        .fillStyle(config.colors.callout)
+        .strokeStyle(config.colors.calloutBorder)
+        .cursor('pointer')
+        .event('click', function(c) {
+            // in editing mode, the clicked line is edited.
+            var line = c.lines[Math.floor((this.mouse().y - 3) / 12)];
+            if (config.annotationEditing && line) {
+                megaSeries.openAnnotationEditor_({
+                    annotation: line.annotation,
+                    series: megaSeries.series[config.callout.series],
+                    layer: null
+                }, c.left, height - c.bottom - c.height);
+            }
+            config.callout = null;
+            return focus;
+        });
+    callout.add(pv.Label)
+        .data(function(c) {
+            return c.lines;
+        })
+        .left(5)
+        .top(function() {
+            return 3 + 12 * this.index;
+        })
+        .textBaseline('top')
+        .font(function(line) {
+            return line.title ? 'bold 10px sans-serif' : '10px sans-serif';
+        })
+        .text(function(line) {
+            return line.text;
+        })
+        .events('none');
+};
+
+/**
+ * Adds a tab at the top of each range of the annotation layers in the focus
+ * panel, shown in annotation editing mode. A tab is dragged to move its range
+ * and clicked to edit or delete it.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            focus the focus panel.
+ * @private
+ */
+MegaSeries.prototype.addRangeTabs_ = function(config, focus) {
+    var megaSeries = this;
+    var left = function(r) {
+        return Math.max(0, config.fx(r.start));
+    };
+    focus.add(pv.Panel)
+        .data(function() {
+            return config.annotationEditing ?
+                    MegaSeries.visibleLayers_(config) : [];
+        })
+      .add(pv.Bar)
+        .data(function(layer) {
+            var domain = config.fx.domain();
+            return layer.ranges.filter(function(r) {
+                return r.end >= +domain[0] && r.start <= +domain[1];
+            });
+        })
+        .left(left)
+        .width(function(r) {
+            return Math.min(config.width, config.fx(r.end)) - left(r);
+        })
+        .top(0)
+        .height(MegaSeries.FLAG_HEIGHT_)
+        .fillStyle(function(r, layer) {
+            return MegaSeries.fade_(layer.color, layer.fillOpacity);
+        })
+        .cursor('move')
+        .event('mousedown', function(r, layer) {
+            var target = {annotation: r.item, series: null, layer: layer.name};
+            megaSeries.dragAnnotation_(config, focus, [target], left(r),
+                    function() {
+                megaSeries.openAnnotationEditor_(target, left(r),
+                        MegaSeries.FLAG_HEIGHT_);
+            });
+        });
+};
+
+/**
+ * Height of the pole of an annotation flag, in pixels.
+ *
+ * @type {number}
+ * @private
+ */
+MegaSeries.FLAG_POLE_ = 15;
+
+/**
+ * Height of an annotation flag, in pixels.
+ *
+ * @type {number}
+ * @private
+ */
+MegaSeries.FLAG_HEIGHT_ = 12;
+
+/**
+ * Returns the marker holding the given annotation.
+ *
+ * @param {Array}
+ *            markers the markers of a Series, see annotationMarkers_().
+ * @param {Object}
+ *            annotation the annotation to look for.
+ * @return {?Object} the marker, null if the annotation is out of view.
+ * @private
+ */
+MegaSeries.findMarker_ = function(markers, annotation) {
+    for (var i = 0; markers && i < markers.length; i++) {
+        if (markers[i].annotations.indexOf(annotation) >= 0) {
+            return markers[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Returns the lines of text of a callout: for each annotation a title line,
+ * with its l field, and a line for its description if it has one.
+ *
+ * @param {Array}
+ *            annotations the annotations of the marker.
+ * @return {Object} list of lines in the form of {text:, title: BOOLEAN,
+ *            annotation:}.
+ * @private
+ */
+MegaSeries.calloutLines_ = function(annotations) {
+    var lines = [];
+    for (var i = 0; i < annotations.length; i++) {
+        var a = annotations[i];
+        var title = [a.l, a.title].filter(function(part) {
+            return part != undefined && part !== '';
+        }).join(' ');
+        lines.push({text: title, title: true, annotation: a});
+        var desc = a.desc || a.description;
+        if (desc) {
+            lines.push({text: String(desc), title: false, annotation: a});
+        }
+    }
+    return lines;
+};
+
+/**
+ * Adds a tick at the bottom of the context panel for each annotation marker
+ * of the {@link Series} of the panel. The ticks only show where annotations
+ * are, the selection overlay of the context panel takes the mouse.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            context the context panel, with one instance per Series.
+ * @private
+ */
+MegaSeries.addAnnotationTicks_ = function(config, context) {
+    context.add(pv.Rule)
+        .data(function(s) {
+            return MegaSeries.annotationMarkers_(config, s, config.x);
+        })
+        .left(function(m) {
+            return m.left;
+        })
+        .bottom(0)
+        .height(6)
+        .strokeStyle(function(m, s) {
+            return MegaSeries.strokeColor_(config, s, this.parent.index);
+        });
+};
+
+/**
+ * Returns the annotation layers that are shown.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {Array} the visible layers, see addAnnotationLayer().
+ * @private
+ */
+MegaSeries.visibleLayers_ = function(config) {
+    return (config.layers || []).filter(function(layer) {
+        return layer.visible;
+    });
+};
+
+/**
+ * Adds the shaded x ranges of the annotation layers to a panel, clipped to
+ * the panel.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            panel the focus or context panel.
+ * @param {string}
+ *            x name of the x scale of the config to use, 'fx' in the focus
+ *            panel and 'x' in the context panel.
+ * @param {boolean}
+ *            labelled whether the titles of the ranges are shown.
+ * @private
+ */
+MegaSeries.addLayerRanges_ = function(config, panel, x, labelled) {
+    var left = function(r) {
+        return Math.max(0, config[x](r.start));
+    };
+    var ranges = panel.add(pv.Panel)
+        .data(function() {
+            return MegaSeries.visibleLayers_(config);
+        })
+      .add(pv.Bar)
+        .data(function(layer) {
+            var domain = config[x].domain();
+            return layer.ranges.filter(function(r) {
+                return r.end >= +domain[0] && r.start <= +domain[1];
+            });
+        })
+        .left(left)
+        .width(function(r) {
+            return Math.min(config.width, config[x](r.end)) - left(r);
+        })
+        .top(0)
+        .bottom(0)
+        .fillStyle(function(r, layer) {
+            return MegaSeries.fade_(layer.color, layer.fillOpacity);
+        });
+    if (labelled) {
+        ranges.add(pv.Label)
+            .left(function(r) {
+                return left(r) + 3;
+            })
+            .top(3)
+            .textBaseline('top')
+            .textStyle(function(r, layer) {
+                return layer.color;
+            })
+            .text(function(r) {
+                return r.item.title || '';
+            })
+            .events('none');
+    }
+};
+
+/**
+ * Adds the event lines of the annotation layers to a panel. The name of the
+ * layer and the title and description of the event are shown as the tooltip
+ * of a line.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            panel the focus or context panel.
+ * @param {string}
+ *            x name of the x scale of the config to use, 'fx' in the focus
+ *            panel and 'x' in the context panel.
+ * @return {pv.Rule} the event lines, for their dash patterns to be set.
+ * @private
+ */
+MegaSeries.addLayerEvents_ = function(config, panel, x) {
+    return panel.add(pv.Panel)
+        .data(function() {
+            return MegaSeries.visibleLayers_(config);
+        })
+      .add(pv.Rule)
+        .data(function(layer) {
+            var domain = config[x].domain();
+            return layer.events.filter(function(e) {
+                return e.x >= +domain[0] && e.x <= +domain[1];
+            });
+        })
+        .left(function(e) {
+            return config[x](e.x);
+        })
+        .top(0)
+        .bottom(0)
+        .strokeStyle(function(e, layer) {
+            return layer.color;
+        })
+        .lineWidth(function(e, layer) {
+            return layer.lineWidth;
+        })
+        .title(function(e, layer) {
+            var lines = [layer.name];
+            if (e.item.title) {
+                lines.push(e.item.title);
+            }
+            if (e.item.desc) {
+                lines.push(e.item.desc);
+            }
+            return lines.join('\n');
+        });
+};
+
+/**
+ * Adds a rule at zero to a panel, shown while the domain of its y scale spans
+ * zero.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            panel the focus or context panel.
+ * @param {pv.Scale}
+ *            scale the y scale of the panel.
+ * @private
+ */
+MegaSeries.addZeroLine_ = function(config, panel, scale) {
+    panel.add(pv.Rule)
+        .visible(function() {
+            var domain = scale.domain();
+            return domain[0] < 0 && domain[1] > 0;
+        })
+        .bottom(function() {
+            return scale(0);
+        })
+        .strokeStyle(config.colors.zeroLine);
+};
+
+/**
+ * Adds the labels of the x-axis ticks made by xTicks_ to the given rule.
+ *
+ * @param {pv.Rule}
+ *            rule the rule drawing the ticks.
+ * @private
+ */
+MegaSeries.addTickLabels_ = function(rule) {
+    rule.anchor('bottom')
+        .add(pv.Label)
+        .text(function(d) {
+            return d.label;
+        });
+    rule.anchor('bottom')
+        .add(pv.Label)
+        .visible(function(d) {
+            return !!d.sublabel;
+        })
+        .textMargin(15)
+        .text(function(d) {
+            return d.sublabel;
+        });
+};
+
+/**
+ * The intervals between ticks on a time axis, from the finest to the
+ * coarsest. Longer spans use multiples of years.
+ *
+ * @type {Array}
+ * @private
+ */
+MegaSeries.TIME_INTERVALS_ = [
+    {unit: 'second', step: 1},
+    {unit: 'second', step: 5},
+    {unit: 'second', step: 15},
+    {unit: 'second', step: 30},
+    {unit: 'minute', step: 1},
+    {unit: 'minute', step: 5},
+    {unit: 'minute', step: 15},
+    {unit: 'minute', step: 30},
+    {unit: 'hour', step: 1},
+    {unit: 'hour', step: 3},
+    {unit: 'hour', step: 6},
+    {unit: 'hour', step: 12},
+    {unit: 'day', step: 1},
+    {unit: 'day', step: 2},
+    {unit: 'week', step: 1},
+    {unit: 'month', step: 1},
+    {unit: 'month', step: 3},
+    {unit: 'month', step: 6},
+    {unit: 'year', step: 1}
+];
+
+/**
+ * Approximate length of each time unit in milliseconds, used to pick the
+ * interval between ticks.
+ *
+ * @enum {number}
+ * @private
+ */
+MegaSeries.TIME_UNITS_ = {
+    millisecond: 1,
+    second: 1e3,
+    minute: 6e4,
+    hour: 36e5,
+    day: 864e5,
+    week: 6048e5,
+    month: 2592e6,
+    year: 31536e6
+};
+
+/**
+ * The pv.Format.date patterns of the labels and sublabels of the ticks, by
+ * unit of the interval between ticks.
+ *
+ * @type {Object}
+ * @private
+ */
+MegaSeries.TIME_FORMATS_ = {
+    millisecond: ['%H:%M:%S.%Q', '%b %d, %Y'],
+    second: ['%H:%M:%S', '%b %d, %Y'],
+    minute: ['%H:%M', '%b %d, %Y'],
+    hour: ['%H:%M', '%b %d, %Y'],
+    day: ['%b %d', '%Y'],
+    week: ['%b %d', '%Y'],
+    month: ['%b', '%Y'],
+    year: ['%Y', null]
+};
+
+/**
+ * The Intl.DateTimeFormat options used instead of TIME_FORMATS_ when a time
+ * zone or a locale is set in the config.
+ *
+ * @type {Object}
+ * @private
+ */
+MegaSeries.TIME_FORMAT_OPTIONS_ = (function() {
+    var date = {year: 'numeric', month: 'short', day: '2-digit'};
+    var year = {year: 'numeric'};
+    return {
+        millisecond: [{hour: '2-digit', minute: '2-digit', second: '2-digit',
+                       fractionalSecondDigits: 3}, date],
+        second: [{hour: '2-digit', minute: '2-digit', second: '2-digit'}, date],
+        minute: [{hour: '2-digit', minute: '2-digit'}, date],
+        hour: [{hour: '2-digit', minute: '2-digit'}, date],
+        day: [{month: 'short', day: '2-digit'}, year],
+        week: [{month: 'short', day: '2-digit'}, year],
+        month: [{month: 'short'}, year],
+        year: [year, null]
+    };
+})();
+
+/**
+ * The format of the dates in the hover readout, as a pv.Format.date pattern
+ * and the matching Intl.DateTimeFormat options.
+ *
+ * @type {Array}
+ * @private
+ */
+MegaSeries.READOUT_FORMAT_ = ['%b %d, %Y %H:%M:%S', {
+    year: 'numeric', month: 'short', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    timeZoneName: 'short'
+}];
+
+/**
+ * Returns a function formatting dates in the time zone and locale of the
+ * config, or with a Protovis date format if neither is set.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {string}
+ *            pattern the pv.Format.date pattern.
+ * @param {Object}
+ *            options the Intl.DateTimeFormat options.
+ * @return {Function} the date format.
+ * @private
+ */
+MegaSeries.dateFormat_ = function(config, pattern, options) {
+    if (!config.timeZone && !config.locale) {
+        return pv.Format.date(pattern);
+    }
+    var zoned = {timeZone: config.timeZone};
+    for (var key in options) {
+        zoned[key] = options[key];
+    }
+    var format = new Intl.DateTimeFormat(config.locale, zoned);
+    return function(date) {
+        return format.format(date);
+    };
+};
+
+/**
+ * Formats a date in the time zone and locale set in the config, for
+ * readouts and exports matching the time axis.
+ *
+ * @param {Date|number}
+ *            date the date, or epoch milliseconds.
+ * @param {Object=}
+ *            opt_options Intl.DateTimeFormat options, defaults to the
+ *            format of the hover readout.
+ * @return {string} the formatted date.
+ */
+MegaSeries.prototype.formatDate = function(date, opt_options) {
+    var config = this.config_ || {};
+    var format = MegaSeries.READOUT_FORMAT_;
+    return MegaSeries.dateFormat_(config, format[0],
+            opt_options || format[1])(new Date(+date));
+};
+
+/**
+ * Cache of the Intl.DateTimeFormat used to find the offsets of each time
+ * zone.
+ *
+ * @type {Object}
+ * @private
+ */
+MegaSeries.zoneFormats_ = {};
+
+/**
+ * Returns the offset of the time zone of the config from UTC at a time.
+ *
+ * @param {string}
+ *            timeZone the IANA time zone.
+ * @param {number}
+ *            time the time in epoch milliseconds.
+ * @return {number} the offset in milliseconds.
+ * @private
+ */
+MegaSeries.zoneOffset_ = function(timeZone, time) {
+    var format = MegaSeries.zoneFormats_[timeZone];
+    if (!format) {
+        format = MegaSeries.zoneFormats_[timeZone] = new Intl.DateTimeFormat(
+                'en-US', {
+            timeZone: timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+    }
+    var fields = {};
+    var parts = format.formatToParts(new Date(time));
+    for (var i = 0; i < parts.length; i++) {
+        fields[parts[i].type] = +parts[i].value;
+    }
+    var wall = Date.UTC(fields.year, fields.month - 1, fields.day,
+            fields.hour, fields.minute, fields.second);
+    return wall - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Converts a time to the wall clock of the time zone of the config, read with
+ * the UTC methods of Date. Times are left as they are without a time zone.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {number}
+ *            time the time in epoch milliseconds.
+ * @return {number} the wall clock time.
+ * @private
+ */
+MegaSeries.toZone_ = function(config, time) {
+    if (!config.timeZone) {
+        return time;
+    }
+    return time + MegaSeries.zoneOffset_(config.timeZone, time);
+};
+
+/**
+ * Converts a wall clock time made by toZone_ back to a time.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {number}
+ *            wall the wall clock time.
+ * @return {number} the time in epoch milliseconds.
+ * @private
+ */
+MegaSeries.fromZone_ = function(config, wall) {
+    if (!config.timeZone) {
+        return wall;
+    }
+    // the second pass corrects the offset across daylight saving changes.
+    var time = wall - MegaSeries.zoneOffset_(config.timeZone, wall);
+    return wall - MegaSeries.zoneOffset_(config.timeZone, time);
+};
+
+/**
+ * Picks the finest interval between ticks giving at most the given number of
+ * ticks over a time span.
+ *
+ * @param {number}
+ *            start the start of the span in milliseconds.
+ * @param {number}
+ *            end the end of the span in milliseconds.
+ * @param {number}
+ *            count the maximum number of ticks.
+ * @return {Object} the interval, in the form of {unit:, step:}.
+ * @private
+ */
+MegaSeries.timeInterval_ = function(start, end, count) {
+    var target = (end - start) / count;
+    var units = MegaSeries.TIME_UNITS_;
+    var step = MegaSeries.niceStep_(Math.max(1, target));
+    if (step < units.second) {
+        return {unit: 'millisecond', step: step};
+    }
+    var intervals = MegaSeries.TIME_INTERVALS_;
+    for (var i = 0; i < intervals.length; i++) {
+        if (units[intervals[i].unit] * intervals[i].step >= target) {
+            return intervals[i];
+        }
+    }
+    return {unit: 'year', step: MegaSeries.niceStep_(target / units.year)};
+};
+
+/**
+ * Rounds a step up to 1, 2 or 5 times a power of ten.
+ *
+ * @param {number}
+ *            step the step to round.
+ * @return {number} the rounded step.
+ * @private
+ */
+MegaSeries.niceStep_ = function(step) {
+    var power = Math.pow(10, Math.floor(Math.log(step) / Math.LN10));
+    var steps = [1, 2, 5, 10];
+    for (var i = 0; i < steps.length; i++) {
+        if (steps[i] * power >= step) {
+            return steps[i] * power;
+        }
+    }
+    return 10 * power;
+};
+
+/**
+ * Returns the ticks between start and end at the given interval, aligned to
+ * the calendar: months start on the first, weeks on Sunday and intervals of
+ * several units on multiples of the step.
+ *
+ * @param {number}
+ *            start the start of the span in milliseconds.
+ * @param {number}
+ *            end the end of the span in milliseconds.
+ * @param {Object}
+ *            interval the interval, in the form of {unit:, step:}.
+ * @param {boolean}
+ *            utc whether to align to the calendar in UTC rather than in
+ *            local time.
+ * @return {Array} list of Dates.
+ * @private
+ */
+MegaSeries.timeTicks_ = function(start, end, interval, utc) {
+    var step = interval.step;
+    var date = new Date(start);
+    // prefix of the Date methods, e.g. setUTCHours.
+    var u = utc ? 'UTC' : '';
+    switch (interval.unit) {
+        case 'millisecond':
+            date.setTime(Math.floor(start / step) * step);
+            break;
+        case 'second':
+            date['set' + u + 'Milliseconds'](0);
+            date['set' + u + 'Seconds'](
+                    Math.floor(date['get' + u + 'Seconds']() / step) * step);
+            break;
+        case 'minute':
+            date['set' + u + 'Seconds'](0, 0);
+            date['set' + u + 'Minutes'](
+                    Math.floor(date['get' + u + 'Minutes']() / step) * step);
+            break;
+        case 'hour':
+            date['set' + u + 'Minutes'](0, 0, 0);
+            date['set' + u + 'Hours'](
+                    Math.floor(date['get' + u + 'Hours']() / step) * step);
+            break;
+        case 'day':
+            date['set' + u + 'Hours'](0, 0, 0, 0);
+            break;
+        case 'week':
+            date['set' + u + 'Hours'](0, 0, 0, 0);
+            date['set' + u + 'Date'](
+                    date['get' + u + 'Date']() - date['get' + u + 'Day']());
+            break;
+        case 'month':
+            date['set' + u + 'Hours'](0, 0, 0, 0);
+            date['set' + u + 'Date'](1);
+            date['set' + u + 'Month'](
+                    Math.floor(date['get' + u + 'Month']() / step) * step);
+            break;
+        case 'year':
+            date['set' + u + 'Hours'](0, 0, 0, 0);
+            date['set' + u + 'Month'](0, 1);
+            date['set' + u + 'FullYear'](
+                    Math.floor(date['get' + u + 'FullYear']() / step) * step);
+            break;
+    }
+
+    var ticks = [];
+    // the bound on the number of ticks guards against bad intervals.
+    while (date <= end && ticks.length < 1000) {
+        if (date >= start) {
+            ticks.push(new Date(date));
+        }
+        MegaSeries.addTime_(date, interval.unit, step, u);
+    }
+    return ticks;
+};
+
+/**
+ * The Date methods changing each time unit, without their set or setUTC
+ * prefix.
+ *
+ * @enum {string}
+ * @private
+ */
+MegaSeries.TIME_SETTERS_ = {
+    second: 'Seconds',
+    minute: 'Minutes',
+    hour: 'Hours',
+    day: 'Date',
+    month: 'Month',
+    year: 'FullYear'
+};
+
+/**
+ * Adds a number of time units to a date.
+ *
+ * @param {Date}
+ *            date the date to change.
+ * @param {string}
+ *            unit the time unit.
+ * @param {number}
+ *            step the number of units to add.
+ * @param {string}
+ *            u 'UTC' to add the units in UTC, or '' for local time.
+ * @private
+ */
+MegaSeries.addTime_ = function(date, unit, step, u) {
+    if (unit == 'millisecond') {
+        date.setTime(date.getTime() + step);
+        return;
+    }
+    if (unit == 'week') {
+        unit = 'day';
+        step *= 7;
+    }
+    var name = MegaSeries.TIME_SETTERS_[unit];
+    date['set' + u + name](date['get' + u + name]() + step);
+};
+
+/**
+ * Computes the visible part of every {@link Series} and fits the focus y axis
+ * to it.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @return {Array} the list of points to render for each Series.
+ * @private
+ */
+MegaSeries.prototype.updateFocus_ = function(config) {
+    var slices = this.series.map(function(series) {
+        return this.transformSeries_(config, series);
+    }, this);
+    this.fitY_(config, slices);
+    // kept to find the line nearest to a new annotation.
+    config.slices = slices;
+    return slices;
+};
+
+/**
+ * Sets the domain of each y axis in the focus panel according to the yFit
+ * mode of the config. A change of the domain after the first render is
+ * animated by animateY_.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Array}
+ *            slices the list of points rendered for each Series.
+ * @private
+ */
+MegaSeries.prototype.fitY_ = function(config, slices) {
+    for (var i = 0; i < config.yAxes.length; i++) {
+        var axis = config.yAxes[i];
+        var target = null;
+        if (config.yFit == MegaSeries.YFit.LOCK && axis.yTarget) {
+            continue;
+        } else if (config.yFit == MegaSeries.YFit.AUTO) {
+            target = MegaSeries.visibleDomain_(config,
+                    axis.series.map(function(index) {
+                return slices[index];
+            }));
+        }
+        target = target || MegaSeries.yDomain_(config, axis.minY, axis.maxY);
+
+        var current = axis.yTarget;
+        if (current && current[0] == target[0] && current[1] == target[1]) {
+            continue;
+        }
+        axis.yTarget = target;
+        if (!current || !config.yTransition) {
+            clearTimeout(axis.yTimer);
+            axis.fy.domain(target[0], target[1]);
+        } else {
+            this.animateY_(config, axis, axis.fy.domain(), target);
+        }
+    }
+};
+
+/**
+ * Returns the y domain fitting the visible points, padded by the yPadding
+ * fraction of the config and rounded to nice bounds if yNice is set.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Array}
+ *            slices the list of points rendered for each Series.
+ * @return {?Array} the domain as [min, max], or null if no point is visible.
+ * @private
+ */
+MegaSeries.visibleDomain_ = function(config, slices) {
+    var min = Infinity, max = -Infinity;
+    for (var i = 0; i < slices.length; i++) {
+        var points = slices[i] || [];
+        for (var j = 0; j < points.length; j++) {
+            var d = points[j];
+            var low = d.min == undefined ? d.y : d.min;
+            var high = d.max == undefined ? d.y : d.max;
+            // the error band has to fit as well.
+            if (d.lower < low) {
+                low = d.lower;
+            }
+            if (d.upper > high) {
+                high = d.upper;
+            }
+            if (low < min) {
+                min = low;
+            }
+            if (high > max) {
+                max = high;
+            }
+        }
+    }
+    if (!(min <= max)) {
+        return null;
+    }
+    var domain;
+    if (config.yScale == MegaSeries.YScale.LOG) {
+        domain = MegaSeries.logDomain_(min, max);
+    } else {
+        // a flat window still gets some room around the line.
+        var padding = (max - min) * config.yPadding ||
+                Math.abs(max) * config.yPadding || 1;
+        domain = [min - padding, max + padding];
+    }
+    if (config.yNice) {
+        domain = MegaSeries.createYScale_(config)
+            .domain(domain[0], domain[1]).nice().domain();
+    }
+    return domain;
+};
+
+/**
+ * Animates the domain of a y axis in the focus panel, re-rendering the chart
+ * until the transition set by yTransition in the config is over.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Object}
+ *            axis the y axis.
+ * @param {Array}
+ *            from the domain at the start of the transition.
+ * @param {Array}
+ *            to the domain at the end of the transition.
+ * @private
+ */
+MegaSeries.prototype.animateY_ = function(config, axis, from, to) {
+    var vis = this.vis_;
+    var start = new Date().getTime();
+    var step = function() {
+        var t = Math.min(1,
+                (new Date().getTime() - start) / config.yTransition);
+        // ease out.
+        var e = t * (2 - t);
+        axis.fy.domain(from[0] + (to[0] - from[0]) * e,
+                from[1] + (to[1] - from[1]) * e);
+        if (t < 1) {
+            axis.yTimer = setTimeout(step, 16);
+        }
+        vis.render();
+    };
+    clearTimeout(axis.yTimer);
+    // the first step is deferred since this runs during a render.
+    axis.yTimer = setTimeout(step, 16);
+};
+
+/**
+ * Transforms location on the canvas to an interval in each Series and returns
+ * that part of the Series, taken from the coarsest pyramid level that still
+ * has enough points and downsampled to the resolution of the focus panel.
+ *
+ * @param {Object} 
+ *            config Config object that keeps track of state.
+ * @param {Series}
+ *            series Series object to be transformed.
+ * @return {Object} list of xy values corresponding to the output of the
+ *            transformation.
+ * @private
+ */
+MegaSeries.prototype.transformSeries_ = function(config, series) {
+    var d1 = config.x.invert(config.i.x),
+        d2 = config.x.invert(config.i.x + config.i.dx),
+        dd = series.getRange(d1, d2, MegaSeries.resolution_(config, series));
+    config.fx.domain(d1, d2);
+    config.zoomstart = config.i.x;
+    config.zoomend = config.i.x + config.i.dx;
+    config.dd = MegaSeries.downsampleSeries_(config, series, dd);
+    return config.dd;
+};
+
+/**
+ * Returns the whole {@link Series} as drawn in the context panel.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series to be rendered.
+ * @return {Object} list of xy values to be rendered.
+ * @private
+ */
+MegaSeries.overview_ = function(config, series) {
+    var overview = series.getOverview(MegaSeries.resolution_(config, series));
+    return MegaSeries.downsampleSeries_(config, series, overview);
+};
+
+/**
+ * Returns the number of points needed to render the given {@link Series} at
+ * the current chart width, which is used to pick a level of its pyramid.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series to be rendered.
+ * @return {number} the minimum number of points to render, Infinity if the
+ *            Series should not be downsampled.
+ * @private
+ */
+MegaSeries.resolution_ = function(config, series) {
+    if (series.renderMode == MegaSeries.RenderMode.ENVELOPE) {
+        return Math.ceil(config.width);
+    }
+    var algorithm = series.downsample || config.downsample;
+    if (algorithm == MegaSeries.Downsample.NONE) {
+        return Infinity;
+    }
+    var pointsPerPixel = series.pointsPerPixel || config.pointsPerPixel;
+    return Math.ceil(config.width * pointsPerPixel);
+};
+
+/**
+ * Downsamples a slice of the given {@link Series} to the number of points
+ * allowed by the chart width, using the algorithm and points per pixel set on
+ * the Series or, if not set there, on the config. Series in envelope render
+ * mode are aggregated per pixel column instead.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series the data belongs to.
+ * @param {Object}
+ *            data list of xy values to be downsampled.
+ * @return {Object} list of xy values to be rendered.
+ * @private
+ */
+MegaSeries.downsampleSeries_ = function(config, series, data) {
+    if (series.renderMode == MegaSeries.RenderMode.ENVELOPE) {
+        return MegaSeries.envelope_(data, Math.ceil(config.width));
+    }
+    var algorithm = series.downsample || config.downsample;
+    if (algorithm == MegaSeries.Downsample.LTTB) {
+        return MegaSeries.lttb_(data, MegaSeries.resolution_(config, series));
+    }
+    return data;
+};
+
+/**
+ * Aggregates the data into the given number of equally wide x buckets (one per
+ * pixel column) and returns one point per non-empty bucket, holding the mean
+ * as y along with the min, max and count of the points in the bucket.
+ *
+ * @param {Object}
+ *            data list of xy values <b>sorted</b> in X order. Entries can be
+ *            aggregates from a {@link Series} pyramid level themselves.
+ * @param {number}
+ *            buckets the number of buckets to aggregate into.
+ * @return {Object} list of {x:, y:, min:, max:, count:} dictionaries, with the
+ *            outer lower: and upper: bounds if the data has an error band, or
+ *            data itself if it has no more points than buckets.
+ * @private
+ */
+MegaSeries.envelope_ = function(data, buckets) {
+    var size = data.length;
+    if (size <= buckets) {
+        return data;
+    }
+
+    var x0 = +data[0].x;
+    var span = (+data[size - 1].x - x0) || 1;
+    var envelope = [];
+    var current = -1, bucket;
+    for (var i = 0; i < size; i++) {
+        var d = data[i];
+        var count = d.count || 1;
+        var min = d.min == undefined ? +d.y : d.min;
+        var max = d.max == undefined ? +d.y : d.max;
+        var column = Math.min(buckets - 1,
+                Math.floor((+d.x - x0) / span * buckets));
+        if (column != current) {
+            bucket = {x: d.x, y: 0, min: min, max: max, count: 0};
+            if (d.lower != undefined) {
+                bucket.lower = d.lower;
+                bucket.upper = d.upper;
+            }
+            envelope.push(bucket);
+            current = column;
+        }
+        bucket.y += d.y * count;
+        bucket.count += count;
+        if (min < bucket.min) {
+            bucket.min = min;
+        }
+        if (max > bucket.max) {
+            bucket.max = max;
+        }
+        if (d.lower < bucket.lower) {
+            bucket.lower = d.lower;
+        }
+        if (d.upper > bucket.upper) {
+            bucket.upper = d.upper;
+        }
+    }
+    for (var i = 0; i < envelope.length; i++) {
+        envelope[i].y /= envelope[i].count;
+    }
+    return envelope;
+};
+
+/**
+ * Returns whether a point is drawn as a min/max band rather than filled down
+ * to the baseline: only aggregates of a Series in ENVELOPE render mode are.
+ * The aggregates of the pyramid carry a min and max in any mode.
+ *
+ * @param {Object}
+ *            d the point, or aggregate.
+ * @param {Series}
+ *            series the Series being rendered.
+ * @return {boolean} whether the point is an envelope bucket.
+ * @private
+ */
+MegaSeries.isEnvelope_ = function(d, series) {
+    return series.renderMode == MegaSeries.RenderMode.ENVELOPE &&
+            d.min != undefined;
+};
+
+/**
+ * Returns the opacity of the area fill for the given {@link Series}. The
+ * envelope band is drawn stronger than a plain area so outliers stand out.
+ *
+ * @param {Series}
+ *            series the Series being rendered.
+ * @return {number} the fill opacity.
+ * @private
+ */
+MegaSeries.fillOpacity_ = function(series) {
+    if (series.fillOpacity != undefined) {
+        return series.fillOpacity;
+    }
+    return series.renderMode == MegaSeries.RenderMode.ENVELOPE ? .3 : .1;
+};
+
+/**
+ * Returns the color of the error band of the given {@link Series}, its
+ * errorBand option or else its stroke color, made translucent so the band
+ * doesn't hide the lines behind it.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series being rendered.
+ * @param {number}
+ *            index the index of the Series in the MegaSeries.
+ * @return {pv.Color} the fill color of the band.
+ * @private
+ */
+MegaSeries.bandColor_ = function(config, series, index) {
+    var color = series.errorBand ?
+            pv.color(series.errorBand) :
+            MegaSeries.strokeColor_(config, series, index);
+    return MegaSeries.fade_(color, .2);
+};
+
+/**
+ * Returns a color made more translucent.
+ *
+ * @param {pv.Color|string}
+ *            color the color.
+ * @param {number}
+ *            opacity the factor the opacity of the color is multiplied by.
+ * @return {pv.Color} the translucent color.
+ * @private
+ */
+MegaSeries.fade_ = function(color, opacity) {
+    color = pv.color(color).rgb();
+    return pv.rgb(color.r, color.g, color.b, color.opacity * opacity);
+};
+
+/**
+ * Adds the error band of each {@link Series} to a focus or context panel, as
+ * an area between the lower and upper bounds of the points. It is added
+ * before the Series areas so the lines are drawn on top of it. Series without
+ * a band get no area.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {pv.Panel}
+ *            panel the panel with one instance per Series.
+ * @param {string}
+ *            x name of the x scale of the config to use, 'fx' in the focus
+ *            panel and 'x' in the context panel.
+ * @param {string}
+ *            y name of the y scale of the axes to use, 'fy' in the focus
+ *            panel and 'y' in the context panel.
+ * @param {Function}
+ *            points returns the points rendered for the Series of the panel
+ *            instance, called as a data property function.
+ * @private
+ */
+MegaSeries.addErrorBand_ = function(config, panel, x, y, points) {
+    panel.add(pv.Area)
+        .data(function() {
+            var data = points.apply(this, arguments) || [];
+            // downsampled points keep the band, so the first one tells.
+            return data.length && data[0].lower != undefined ? data : [];
+        })
+        .left(function(d) {
+            return config[x](d.x);
+        })
+        .bottom(function(d, s) {
+            return 1 + MegaSeries.axisOf_(config, s)[y](d.lower);
+        })
+        .height(function(d, s) {
+            var scale = MegaSeries.axisOf_(config, s)[y];
+            return scale(d.upper) - scale(d.lower);
+        })
+        .fillStyle(function(d, s) {
+            return MegaSeries.bandColor_(config, s, this.parent.index);
+        });
+};
+
+/**
+ * Returns the color of the line of the given {@link Series}, its strokeColor
+ * option or else a color of the palette.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series being rendered.
+ * @param {number}
+ *            index the index of the Series in the MegaSeries.
+ * @return {pv.Color} the stroke color.
+ * @private
+ */
+MegaSeries.strokeColor_ = function(config, series, index) {
+    return series.strokeColor ?
+            pv.color(series.strokeColor) : config.paletteColor(index);
+};
+
+/**
+ * Returns the color of the area under the given {@link Series}, its fillColor
+ * option or else its stroke color, at its fill opacity.
+ *
+ * @param {Object}
+ *            config MegaSeries config dictionary.
+ * @param {Series}
+ *            series the Series being rendered.
+ * @param {number}
+ *            index the index of the Series in the MegaSeries.
+ * @return {?pv.Color} the fill color, null if the area is not filled.
+ * @private
+ */
+MegaSeries.fillColor_ = function(config, series, index) {
+    if (series.showArea === false) {
+        return null;
+    }
+    var color = series.fillColor ?
+            pv.color(series.fillColor) :
+            MegaSeries.strokeColor_(config, series, index);
+    return MegaSeries.fade_(color, MegaSeries.fillOpacity_(series));
+};
+
+/**
+ * Downsamples the data using the Largest-Triangle-Three-Buckets algorithm,
+ * which keeps the points that contribute most to the visual shape of the line.
+ * The first and last points are always kept.
+ *
+ * @see http://skemman.is/stream/get/1946/15343/37285/3/SS_MSthesis.pdf
+ *
+ * @param {Object}
+ *            data list of xy values <b>sorted</b> in X order.
+ * @param {number}
+ *            threshold the maximum number of points to return.
+ * @return {Object} list of xy values with at most threshold entries. The
+ *            entries are the original objects in data.
+ * @private
+ */
+MegaSeries.lttb_ = function(data, threshold) {
+    var size = data.length;
+    if (threshold >= size || threshold < 3) {
+        return data;
+    }
+
+    var sampled = [data[0]];
+    // buckets exclude the first and last points.
+    var every = (size - 2) / (threshold - 2);
+    var a = 0;
+    for (var i = 0; i < threshold - 2; i++) {
+        // average point of the next bucket is the third triangle vertex.
+        var nextStart = Math.floor((i + 1) * every) + 1;
+        var nextEnd = Math.min(Math.floor((i + 2) * every) + 1, size);
+        var avgX = 0, avgY = 0;
+        for (var j = nextStart; j < nextEnd; j++) {
+            avgX += +data[j].x;
+            avgY += +data[j].y;
+        }
+        avgX /= nextEnd - nextStart;
+        avgY /= nextEnd - nextStart;
+
+        // pick the point in the current bucket with the largest triangle.
+        var start = Math.floor(i * every) + 1;
+        var end = Math.floor((i + 1) * every) + 1;
+        var ax = +data[a].x, ay = +data[a].y;
+        var maxArea = -1, next = start;
+        for (var j = start; j < end; j++) {
+            var area = Math.abs((ax - avgX) * (+data[j].y - ay) -
+                    (ax - +data[j].x) * (avgY - ay));
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+        sampled.push(data[next]);
+        a = next;
+    }
+    sampled.push(data[size - 1]);
+    return sampled;
+};
+
+/**
+ * Constructor for the {@link Series} object. A Series is a data structure that
+ * represents a Series in a MegaSeries. Each Series appearance can be controlled
+ * by setting its options by passing a dictionary of options here or by calling
+ * .setOption(options) on the series after it is created.
+ *
+ * The XY data is stored as columns of Float64Arrays, see setXYData().
+ *
+ * @param {String}
+ *            name the String name for this series.
+ * @param {Object}
+ *            xydict a list of dictionaries in the form of {x: NUMBER, y:
+ *            NUMBER} <b>sorted</b> in X order, or columns as accepted by
+ *            setXYData().
+ * @param {Object}
+ *            annotations dictionary containing {x: , title: , description: , }.
+ * @param {Object}
+ *            options a dictionary containing the options for this Series.
+ * @constructor
+ */
+Series = function(name, xydict, annotations, options) {
+    this.name = name;
+    this.provider_ = null;
+    /**
+     * Called when data fetched from the DataProvider of this Series arrives.
+     * Set by the MegaSeries rendering the Series.
+     * @type {Function}
+     */
+    this.dataChangeHandler = null;
+    /**
+     * Called with a {@link MegaSeriesError} when fetching data from the
+     * DataProvider of this Series fails. Set by the MegaSeries the Series is
+     * added to.
+     * @type {Function}
+     */
+    this.errorHandler = null;
+    // the last failed fetch, see getLastError().
+    this.lastError_ = null;
+    // options first, they tell how to handle unsorted data.
+    this.setOptions(options);
+    this.setXYData(xydict);
+    this.setAnnotations(annotations);
+};
+
+/**
+ * Adds an annotations dictionary to this Series and sets the y value of each
+ * annotation, where its marker is drawn, as set by its placement field or
+ * else the annotationPlacement option of the Series (see
+ * MegaSeries.AnnotationPlacement). Annotations outside the XY data, and those
+ * of a Series without XY data or backed by a {@link DataProvider}, are left
+ * without a y value and pinned to the top of the focus panel. The y values
+ * are updated when the XY data changes.
+ *
+ * @param {Object}
+ *            annotations dictionary containing {x: , title: , description: ,
+ *            placement: }.
+ * @throws {MegaSeriesError} if the placement of an annotation is invalid.
+ */
+Series.prototype.setAnnotations = function(annotations) {
+    // fill up the y value for annotations.
+    if (annotations != undefined) {
+        var size = annotations.length || 0;
+        for (var i = 0; i < size; i++) {
+            annotations[i].y = this.annotationY_(annotations[i]);
+        }
+        this.annotations = annotations;
+    }
+};
+
+/**
+ * Returns the y value of the marker of an annotation.
+ *
+ * @param {Object}
+ *            annotation the annotation, in the form of {x:, placement:}.
+ * @return {number|undefined} the y value, undefined if the marker is pinned
+ *            to the top of the panel.
+ * @throws {MegaSeriesError} if the placement of the annotation is invalid.
+ * @private
+ */
+Series.prototype.annotationY_ = function(annotation) {
+    var placement = annotation.placement;
+    if (placement == undefined) {
+        // Series created without options have no annotationPlacement.
+        placement = this.annotationPlacement == undefined ?
+                MegaSeries.AnnotationPlacement.NEAREST :
+                this.annotationPlacement;
+    }
+    if (typeof placement == 'number') {
+        return placement;
+    }
+    if (placement != MegaSeries.AnnotationPlacement.NEAREST &&
+        placement != MegaSeries.AnnotationPlacement.INTERPOLATE &&
+        placement != MegaSeries.AnnotationPlacement.TOP) {
+        throw new MegaSeriesError('Invalid annotation placement "' +
+                placement + '" in series "' + this.name + '".');
+    }
+    var x = Series.parseValue_(annotation.x, true);
+    var xs = this.xs_, ys = this.ys_, size = this.size_;
+    var first = this.offset_;
+    if (placement == MegaSeries.AnnotationPlacement.TOP || this.provider_ ||
+        !size || !(x >= xs[first] && x <= xs[first + size - 1])) {
+        return undefined;
+    }
+    // binary search in sorted array - O(log(n))
+    var index = first + this.search(x);
+    if (xs[index] == x) {
+        return ys[index];
+    }
+    // x is strictly between two samples.
+    var before = index - 1;
+    if (placement == MegaSeries.AnnotationPlacement.NEAREST) {
+        return x - xs[before] <= xs[index] - x ? ys[before] : ys[index];
+    }
+    return ys[before] + (ys[index] - ys[before]) *
+            (x - xs[before]) / (xs[index] - xs[before]);
+};
+
+/**
+ * Returns the annotations object for this Series.
+ *
+ * @return {Objecy} dictionary containing annotations.
+ */
+Series.prototype.getAnnotations = function() {
+    return this.annotations;
+};
+
+/**
+ * Sets the XY data for this Series and builds its aggregate pyramid. The data
+ * is validated and normalized to columns of Float64Arrays: Date x values and
+ * date strings are stored as milliseconds (and given back as Dates) and
+ * numeric strings as numbers. Unsorted data is sorted, or rejected if the
+ * unsorted option of the Series says so.
+ *
+ * @param {Object} xydict
+ *            a list of dictionaries in the form of {x: NUMBER, y: NUMBER}
+ *            <b>sorted</b> in X order, or columns in the form of {x: ARRAY,
+ *            y: ARRAY, dates: BOOLEAN}. Sorted Float64Array columns are used
+ *            as they are, without copying. Points can have an error band
+ *            drawn around the line, given as lower: and upper: bounds or as a
+ *            symmetric error: (or the columns of the same names).
+ * @throws {MegaSeriesError} if the data is invalid or has no points.
+ */
+Series.prototype.setXYData = function(xydict) {
+    var columns = xydict ? this.normalize_(xydict) : null;
+    if (columns && !columns.x.length) {
+        throw new MegaSeriesError(
+                'The XY data of series "' + this.name + '" has no points.');
+    }
+    this.xs_ = columns ? columns.x : null;
+    this.ys_ = columns ? columns.y : null;
+    // error band columns, null if the data has no band.
+    this.lowers_ = columns ? columns.lower : null;
+    this.uppers_ = columns ? columns.upper : null;
+    this.size_ = columns ? columns.x.length : 0;
+    // index of the first point in the columns, see removeOldest().
+    this.offset_ = 0;
+    this.dates_ = columns ? columns.dates : false;
+    this.view_ = null;
+    this.pyramid_ = [];
+    this.updatePyramid_(0);
+    if (this.annotations) {
+        this.setAnnotations(this.annotations);
+    }
+};
+
+/**
+ * Appends points to the XY data of this Series and updates its pyramid. The
+ * columns grow by doubling their capacity, so appending is amortized constant
+ * time per point.
+ *
+ * @param {Object} points
+ *            a list of dictionaries in the form of {x: NUMBER, y: NUMBER}, or
+ *            columns as accepted by setXYData(), <b>sorted</b> in X order and
+ *            all after the last point of the Series.
+ */
+Series.prototype.appendPoints = function(points) {
+    if (this.provider_) {
+        throw new MegaSeriesError(
+                'Points can\'t be appended to a Series backed by a provider.');
+    }
+    var columns = this.normalize_(points);
+    var count = columns.x.length;
+    if (!count) {
+        return;
+    }
+    if (!this.xs_) {
+        this.setXYData(columns);
+        return;
+    }
+    var size = this.size_;
+    // the end of the points in the columns.
+    var end = this.offset_ + size;
+    if (size && columns.x[0] < this.xs_[end - 1]) {
+        throw new MegaSeriesError(
+                'Appended points have to come after the existing XY data.');
+    }
+    this.xs_ = Series.reserve_(this.xs_, end + count);
+    this.ys_ = Series.reserve_(this.ys_, end + count);
+    this.xs_.set(columns.x, end);
+    this.ys_.set(columns.y, end);
+    if (columns.lower && !this.lowers_) {
+        // the points so far get a band of zero height.
+        this.lowers_ = this.ys_.slice(0, end);
+        this.uppers_ = this.ys_.slice(0, end);
+    }
+    if (this.lowers_) {
+        this.lowers_ = Series.reserve_(this.lowers_, end + count);
+        this.uppers_ = Series.reserve_(this.uppers_, end + count);
+        this.lowers_.set(columns.lower || columns.y, end);
+        this.uppers_.set(columns.upper || columns.y, end);
+    }
+    this.size_ = size + count;
+    this.view_ = null;
+    this.updatePyramid_(end);
+    // annotations ahead of the old data may have a y value now.
+    if (this.annotations) {
+        this.setAnnotations(this.annotations);
+    }
+};
+
+/**
+ * Removes the given number of points from the start of the XY data of this
+ * Series, along with the annotations that fall before the remaining data. At
+ * least one point is always kept. The removed points are only skipped, and
+ * the columns are compacted once they take half of them, so this takes
+ * amortized constant time per point plus logarithmic time to update the
+ * first bucket of each pyramid level.
+ *
+ * @param {number}
+ *            count the number of points to remove.
+ * @return {Array} the annotations removed.
+ */
+Series.prototype.removeOldest = function(count) {
+    count = Math.min(count, this.size_ - 1);
+    if (count <= 0) {
+        return [];
+    }
+    this.offset_ += count;
+    this.size_ -= count;
+    this.view_ = null;
+    for (var k = 1; k < this.pyramid_.length; k++) {
+        this.updateBucket_(k, Math.floor(this.offset_ / Math.pow(2, k)));
+    }
+    if (2 * this.offset_ >= this.xs_.length) {
+        this.compact_();
+    }
+
+    var removed = [];
+    if (this.annotations) {
+        var start = this.xs_[this.offset_];
+        this.annotations = this.annotations.filter(function(a) {
+            var kept = Series.parseValue_(a.x, true) >= start;
+            if (!kept) {
+                removed.push(a);
+            }
+            return kept;
+        });
+    }
+    return removed;
+};
+
+/**
+ * Moves the XY data to the start of its columns, over the removed points.
+ * The data is moved by the largest power of two not above the number of
+ * removed points, so the buckets of the pyramid levels up to that width stay
+ * whole and are moved along with it. Only the few coarser levels are
+ * rebuilt.
+ *
+ * @private
+ */
+Series.prototype.compact_ = function() {
+    var end = this.offset_ + this.size_;
+    var shift = 1, kept = 0;
+    while (2 * shift <= this.offset_) {
+        shift *= 2;
+        kept++;
+    }
+    var move = function(column, by, size) {
+        if (column) {
+            column.copyWithin(0, by, size);
+        }
+    };
+    move(this.xs_, shift, end);
+    move(this.ys_, shift, end);
+    move(this.lowers_, shift, end);
+    move(this.uppers_, shift, end);
+    for (var k = 1; k <= kept && k < this.pyramid_.length; k++) {
+        var level = this.pyramid_[k];
+        var by = shift / Math.pow(2, k);
+        move(level.y, by, level.size);
+        move(level.min, by, level.size);
+        move(level.max, by, level.size);
+        move(level.lower, by, level.size);
+        move(level.upper, by, level.size);
+    }
+    this.offset_ -= shift;
+    this.updatePyramid_(end - shift, kept);
+};
+
+/**
+ * Builds the multi-resolution pyramid for the XY data, or brings it up to
+ * date after points were appended. Level k holds one bucket per 2^k entries
+ * of the columns, as {y:, min:, max:, size:} columns where y is the mean,
+ * plus lower: and upper: columns with the outer bounds of the error band if
+ * there is one. Level 0 is the data itself and the last level has a single
+ * bucket. The buckets are aligned to the start of the columns, not to the
+ * first point, so removing the oldest points only changes the first bucket
+ * of each level; the buckets before it are left unused. The x of a bucket is
+ * the x of its first point and its count follows from its position, so
+ * neither is stored.
+ *
+ * @param {number}
+ *            from index of the first changed entry of the columns. Buckets
+ *            before it are kept as they are.
+ * @param {number=}
+ *            opt_kept the number of levels above level 0 whose buckets
+ *            before from are kept, the coarser levels are rebuilt entirely.
+ *            All of them by default.
+ * @private
+ */
+Series.prototype.updatePyramid_ = function(from, opt_kept) {
+    var size = this.size_;
+    if (!size) {
+        return;
+    }
+    var kept = opt_kept == undefined ? Infinity : opt_kept;
+    var pyramid = this.pyramid_;
+    var ys = this.ys_;
+    var band = !!this.lowers_;
+    var level = pyramid[0] = {
+        y: ys,
+        min: ys,
+        max: ys,
+        lower: this.lowers_,
+        upper: this.uppers_,
+        size: this.offset_ + size
+    };
+    var k;
+    for (k = 1; level.size > 1; k++) {
+        // the bucket holding the first changed entry may have been partial.
+        from = k > kept ? 0 : Math.floor(from / 2);
+        var next = pyramid[k] || {
+            y: new Float64Array(0),
+            min: new Float64Array(0),
+            max: new Float64Array(0)
+        };
+        next.size = Math.ceil(level.size / 2);
+        next.y = Series.reserve_(next.y, next.size);
+        next.min = Series.reserve_(next.min, next.size);
+        next.max = Series.reserve_(next.max, next.size);
+        next.lower = band ?
+                Series.reserve_(next.lower || new Float64Array(0), next.size) :
+                null;
+        next.upper = band ?
+                Series.reserve_(next.upper || new Float64Array(0), next.size) :
+                null;
+        pyramid[k] = next;
+        var first = Math.floor(this.offset_ / Math.pow(2, k));
+        for (var i = Math.max(from, first); i < next.size; i++) {
+            this.updateBucket_(k, i);
+        }
+        level = next;
+    }
+    // drop the levels left over from longer data.
+    pyramid.length = k;
+};
+
+/**
+ * Computes a bucket of a pyramid level from the two buckets of the level
+ * below it.
+ *
+ * @param {number}
+ *            k the pyramid level, at least 1.
+ * @param {number}
+ *            i the index of the bucket.
+ * @private
+ */
+Series.prototype.updateBucket_ = function(k, i) {
+    var level = this.pyramid_[k - 1], next = this.pyramid_[k];
+    var a = 2 * i, b = a + 1;
+    // the first bucket of a level can have lost points to removeOldest(),
+    // and the last one may not be full.
+    var countA = this.bucketCount_(k - 1, a);
+    var countB = b < level.size ? this.bucketCount_(k - 1, b) : 0;
+    if (countA > 0 && countB > 0) {
+        next.y[i] = (level.y[a] * countA + level.y[b] * countB) /
+                (countA + countB);
+        next.min[i] = Math.min(level.min[a], level.min[b]);
+        next.max[i] = Math.max(level.max[a], level.max[b]);
+        if (next.lower) {
+            next.lower[i] = Math.min(level.lower[a], level.lower[b]);
+            next.upper[i] = Math.max(level.upper[a], level.upper[b]);
+        }
+    } else {
+        var c = countA > 0 ? a : b;
+        next.y[i] = level.y[c];
+        next.min[i] = level.min[c];
+        next.max[i] = level.max[c];
+        if (next.lower) {
+            next.lower[i] = level.lower[c];
+            next.upper[i] = level.upper[c];
+        }
+    }
+};
+
+/**
+ * Returns the number of points in a bucket of a pyramid level.
+ *
+ * @param {number}
+ *            k the pyramid level.
+ * @param {number}
+ *            i the index of the bucket.
+ * @return {number} the number of points, zero or less for the unused
+ *            buckets before the first point.
+ * @private
+ */
+Series.prototype.bucketCount_ = function(k, i) {
+    var width = Math.pow(2, k);
+    return Math.min((i + 1) * width, this.offset_ + this.size_) -
+            Math.max(i * width, this.offset_);
+};
+
+/**
+ * Returns the bounds of the XY data, read from the top of the pyramid. The y
+ * bounds include the error band.
+ *
+ * @return {Object} dictionary in the form of {start:, end:, minY:, maxY:}, or
+ *            null if the Series has no XY data or its extent isn't loaded.
+ */
+Series.prototype.getExtent = function() {
+    if (this.provider_) {
+        return this.extent_ || null;
+    }
+    if (!this.size_) {
+        return null;
+    }
+    var top = this.pyramid_[this.pyramid_.length - 1];
+    return {
+        start: this.getX_(0),
+        end: this.getX_(this.size_ - 1),
+        minY: top.lower ? Math.min(top.min[0], top.lower[0]) : top.min[0],
+        maxY: top.upper ? Math.max(top.max[0], top.upper[0]) : top.max[0]
+    };
+};
+
+/**
+ * Returns the number of points in the XY data.
+ *
+ * @return {number} the number of points.
+ */
+Series.prototype.getSize = function() {
+    return this.size_;
+};
+
+/**
+ * Returns the index of the first point whose x is not less than the given x,
+ * using a binary search on the x column.
+ *
+ * @param {number|Date}
+ *            x the x value to search for.
+ * @return {number} the index, which is the number of points if all of them
+ *            are before x.
+ */
+Series.prototype.search = function(x) {
+    var xs = this.xs_;
+    x = +x;
+    var lo = this.offset_, hi = lo + this.size_;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (xs[mid] < x) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo - this.offset_;
+};
+
+/**
+ * Returns the part of the XY data between start and end (plus one point on
+ * either side), taken from the coarsest pyramid level that still has at least
+ * the given number of points in that range.
+ *
+ * @param {number|Date}
+ *            start the lower x bound.
+ * @param {number|Date}
+ *            end the upper x bound.
+ * @param {number}
+ *            minPoints the minimum number of points wanted in the range.
+ * @return {Object} list of xy values or aggregates <b>sorted</b> in X order.
+ */
+Series.prototype.getRange = function(start, end, minPoints) {
+    if (this.provider_) {
+        return this.getProvidedRange_(start, end, minPoints);
+    }
+    if (!this.size_) {
+        return [];
+    }
+    // indexes in the columns.
+    var lo = this.offset_ + this.search(start);
+    var hi = this.offset_ + this.search(end);
+    var k = 0;
+    while (k + 1 < this.pyramid_.length &&
+            (hi - lo) / Math.pow(2, k + 1) >= minPoints) {
+        k++;
+    }
+    var width = Math.pow(2, k);
+    return this.toPoints_(k, Math.max(Math.floor(this.offset_ / width),
+            Math.ceil(lo / width) - 1),
+            Math.min(this.pyramid_[k].size, Math.ceil(hi / width) + 1));
+};
+
+/**
+ * Returns entries of a pyramid level as dictionaries, {x:, y:} for level 0
+ * and {x:, y:, min:, max:, count:} for the other levels, plus lower: and
+ * upper: if the XY data has an error band.
+ *
+ * @param {number}
+ *            k the pyramid level.
+ * @param {number}
+ *            first index of the first entry, not before the bucket of the
+ *            first point.
+ * @param {number}
+ *            last index after the last entry.
+ * @return {Object} list of xy values or aggregates.
+ * @private
+ */
+Series.prototype.toPoints_ = function(k, first, last) {
+    var level = this.pyramid_[k];
+    var width = Math.pow(2, k);
+    var points = [];
+    for (var i = first; i < last; i++) {
+        var x = this.getX_(Math.max(i * width, this.offset_) - this.offset_);
+        var point;
+        if (k == 0) {
+            point = {x: x, y: level.y[i]};
+        } else {
+            point = {
+                x: x,
+                y: level.y[i],
+                min: level.min[i],
+                max: level.max[i],
+                count: this.bucketCount_(k, i)
+            };
+        }
+        if (level.lower) {
+            point.lower = level.lower[i];
+            point.upper = level.upper[i];
+        }
+        points.push(point);
+    }
+    return points;
+};
+
+/**
+ * Returns the x value of the point at the given index, as a Date if the XY
+ * data was set with Dates.
+ *
+ * @param {number}
+ *            index the index of the point.
+ * @return {number|Date} the x value.
+ * @private
+ */
+Series.prototype.getX_ = function(index) {
+    var x = this.xs_[this.offset_ + index];
+    return this.dates_ ? new Date(x) : x;
+};
+
+/**
+ * Returns whether the x values of the XY data are dates.
+ *
+ * @return {boolean} true if the XY data was set with Dates.
+ * @private
+ */
+Series.prototype.hasDates_ = function() {
+    return this.dates_;
+};
+
+/**
+ * Converts a number to an x value in the form of the XY data, a Date if the
+ * XY data was set with Dates.
+ *
+ * @param {number}
+ *            x the x value as a number.
+ * @return {number|Date} the x value.
+ * @private
+ */
+Series.prototype.toX_ = function(x) {
+    return this.dates_ ? new Date(Math.round(x)) : x;
+};
+
+/**
+ * Validates XY data and normalizes it to columns of Float64Arrays. X values
+ * can be numbers (including epoch milliseconds), Dates, date strings (ISO or
+ * anything Date.parse() accepts) or numeric strings, and y values numbers or
+ * numeric strings. X values are treated as dates if the first one is a Date
+ * or a date string, or if the columns say so.
+ *
+ * The data has an error band if its first point (or the columns) has lower,
+ * upper or error values. Points without them get a band of zero height.
+ *
+ * @param {Object}
+ *            data a list of dictionaries in the form of {x: NUMBER, y:
+ *            NUMBER}, optionally with lower: and upper: bounds or a
+ *            symmetric error:, or columns in the form of {x: ARRAY, y: ARRAY,
+ *            lower: ARRAY, upper: ARRAY, error: ARRAY, dates: BOOLEAN}.
+ * @param {String}
+ *            opt_name the name of the Series, for error messages.
+ * @return {Object} columns in the form of {x: Float64Array, y: Float64Array,
+ *            lower: Float64Array, upper: Float64Array, dates: BOOLEAN,
+ *            sorted: BOOLEAN}. lower and upper are null without a band.
+ * @throws {MegaSeriesError} if a point or value is invalid.
+ * @private
+ */
+Series.toColumns_ = function(data, opt_name) {
+    var where = ' of series "' + (opt_name || '') + '".';
+    var isColumns = data.length == undefined;
+    if (isColumns && (!data.x || !data.y || data.x.length != data.y.length)) {
+        throw new MegaSeriesError(
+                'The x and y columns have to be of the same length' + where);
+    }
+    var size = isColumns ? data.x.length : data.length;
+    var first = size ? (isColumns ? data.x[0] : data[0] && data[0].x) : null;
+    var dates = isColumns && !!data.dates || first instanceof Date ||
+            (typeof first == 'string' && !Series.NUMBER_.test(first));
+    var band = isColumns ? Series.hasBand_(data) :
+            !!size && Series.hasBand_(data[0] || {});
+
+    // Float64Array columns are validated in place.
+    var xs = isColumns && data.x instanceof Float64Array ? data.x :
+            new Float64Array(size);
+    var ys = isColumns && data.y instanceof Float64Array ? data.y :
+            new Float64Array(size);
+    var lowers = band ? new Float64Array(size) : null;
+    var uppers = band ? new Float64Array(size) : null;
+    var sorted = true;
+    for (var i = 0; i < size; i++) {
+        var d = isColumns ? {
+            x: data.x[i],
+            y: data.y[i],
+            lower: data.lower && data.lower[i],
+            upper: data.upper && data.upper[i],
+            error: data.error && data.error[i]
+        } : data[i];
+        if (!d || typeof d != 'object') {
+            throw new MegaSeriesError('Point ' + i +
+                    ' is not an {x:, y:} dictionary' + where);
+        }
+        var x = Series.parseValue_(d.x, true);
+        var y = Series.parseValue_(d.y, false);
+        if (isNaN(x)) {
+            throw new MegaSeriesError('Invalid x value "' + d.x +
+                    '" at index ' + i + where);
+        }
+        if (isNaN(y)) {
+            throw new MegaSeriesError('Invalid y value "' + d.y +
+                    '" at index ' + i + where);
+        }
+        xs[i] = x;
+        ys[i] = y;
+        if (band) {
+            var error = d.error == undefined ? 0 :
+                    Math.abs(Series.parseValue_(d.error, false));
+            var lower = d.lower == undefined ? y - error :
+                    Series.parseValue_(d.lower, false);
+            var upper = d.upper == undefined ? y + error :
+                    Series.parseValue_(d.upper, false);
+            if (isNaN(lower) || isNaN(upper) || lower > upper) {
+                throw new MegaSeriesError('Invalid error band "' + d.lower +
+                        ', ' + d.upper + ', ' + d.error + '" at index ' + i +
+                        where);
+            }
+            lowers[i] = lower;
+            uppers[i] = upper;
+        }
+        if (i && x < xs[i - 1]) {
+            sorted = false;
+        }
+    }
+    return {
+        x: xs,
+        y: ys,
+        lower: lowers,
+        upper: uppers,
+        dates: dates,
+        sorted: sorted
+    };
+};
+
+/**
+ * Returns whether the given point or columns have error band values.
+ *
+ * @param {Object}
+ *            d a point or the columns of XY data.
+ * @return {boolean} true if lower, upper or error is set.
+ * @private
+ */
+Series.hasBand_ = function(d) {
+    return d.lower != undefined || d.upper != undefined ||
+            d.error != undefined;
+};
+
+/**
+ * Matches strings holding a single decimal number.
+ *
+ * @type {RegExp}
+ * @private
+ */
+Series.NUMBER_ = /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i;
+
+/**
+ * Converts an x or y value to a number.
+ *
+ * @param {*}
+ *            value the value to convert.
+ * @param {boolean}
+ *            isX whether the value is an x value, which can be a date.
+ * @return {number} the number, NaN if the value is invalid.
+ * @private
+ */
+Series.parseValue_ = function(value, isX) {
+    if (typeof value == 'number') {
+        return isFinite(value) ? value : NaN;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value == 'string') {
+        if (Series.NUMBER_.test(value)) {
+            return Number(value);
+        }
+        return isX ? Date.parse(value) : NaN;
+    }
+    return NaN;
+};
+
+/**
+ * Sorts columns in X order. Points with equal x keep their order.
+ *
+ * @param {Object}
+ *            columns columns in the form of {x: Float64Array, y:
+ *            Float64Array, lower: Float64Array, upper: Float64Array}.
+ * @private
+ */
+Series.sortColumns_ = function(columns) {
+    var size = columns.x.length;
+    var order = [];
+    for (var i = 0; i < size; i++) {
+        order.push(i);
+    }
+    order.sort(function(a, b) {
+        return columns.x[a] - columns.x[b] || a - b;
+    });
+    ['x', 'y', 'lower', 'upper'].forEach(function(name) {
+        var column = columns[name];
+        if (column) {
+            var permuted = new Float64Array(size);
+            for (var i = 0; i < size; i++) {
+                permuted[i] = column[order[i]];
+            }
+            columns[name] = permuted;
+        }
+    });
+    columns.sorted = true;
+};
+
+/**
+ * Returns the given data as columns sorted in X order, sorting them or
+ * throwing as set by the unsorted option of this Series.
+ *
+ * @param {Object}
+ *            data XY data as accepted by setXYData().
+ * @return {Object} columns in the form of {x: Float64Array, y: Float64Array,
+ *            lower: Float64Array, upper: Float64Array, dates: BOOLEAN}.
+ * @throws {MegaSeriesError} if the data is invalid, or unsorted and the
+ *            Series rejects unsorted data.
+ * @private
+ */
+Series.prototype.normalize_ = function(data) {
+    var columns = Series.toColumns_(data, this.name);
+    if (!columns.sorted) {
+        if (this.unsorted == MegaSeries.UnsortedData.REJECT) {
+            throw new MegaSeriesError('XY data of series "' + this.name +
+                    '" is not sorted in X order.');
+        }
+        Series.sortColumns_(columns);
+    }
+    return columns;
+};
+
+/**
+ * Returns a Float64Array with room for at least size values, holding the
+ * values of the given array. The capacity is at least doubled when the array
+ * has to be replaced.
+ *
+ * @param {Float64Array}
+ *            array the current array.
+ * @param {number}
+ *            size the number of values needed.
+ * @return {Float64Array} the array itself if it is large enough, else a copy.
+ * @private
+ */
+Series.reserve_ = function(array, size) {
+    if (array.length >= size) {
+        return array;
+    }
+    var grown = new Float64Array(Math.max(size, 2 * array.length));
+    grown.set(array);
+    return grown;
+};
+
+/**
+ * Returns the whole Series with at least the given number of points (if it
+ * has that many), as shown in the context panel.
+ *
+ * @param {number}
+ *            minPoints the minimum number of points wanted.
+ * @return {Object} list of xy values or aggregates <b>sorted</b> in X order.
+ */
+Series.prototype.getOverview = function(minPoints) {
+    if (!this.provider_) {
+        var extent = this.getExtent();
+        return this.getRange(extent.start, extent.end, minPoints);
+    }
+    var overview = this.overview_;
+    if (!overview || overview.resolution != minPoints) {
+        var request = this.overview_ = {
+            start: +this.extent_.start,
+            end: +this.extent_.end,
+            resolution: minPoints,
+            data: null
+        };
+        var self = this;
+        this.provider_.fetchRange(request.start, request.end, minPoints)
+            .then(function(data) {
+                if (self.overview_ == request) {
+                    request.data = data;
+                    self.notifyDataChange_();
+                }
+            }).catch(function(e) {
+                // the next render asks for the overview again.
+                if (self.overview_ == request) {
+                    self.overview_ = overview;
                 }
+                self.reportFetchError_('the overview', e);
             });
+        // keep showing the previous overview until the new one arrives.
+        return overview && overview.data || [];
+    }
+    return overview.data || [];
+};
 
-    var focusBar = focusZoom.add(pv.Bar)
-      .left(function(d) {
-          return d.x;
-      })
-      .width(function(d) {
-          return d.dx;
-      })
-      .fillStyle(config.colors.focusSelectBox);
-
-    // Context panel (zoomed out).
-    var contextRoot = vis.add(pv.Panel)
-       .bottom(0)
-       .height(config.contextPanelHeight);
+/**
+ * Sets the {@link DataProvider} this Series is backed by, replacing its XY
+ * data. The data is fetched on demand by getRange() and getOverview(), and
+ * the dataChangeHandler is called whenever fetched data arrives.
+ *
+ * @param {DataProvider}
+ *            provider the provider to fetch the data from.
+ * @return {Promise} resolved with this Series once the extent is loaded.
+ */
+Series.prototype.setDataProvider = function(provider) {
+    this.setXYData(null);
+    this.provider_ = provider;
+    this.window_ = null;
+    this.pending_ = null;
+    this.overview_ = null;
+    var self = this;
+    return provider.getExtent().then(function(extent) {
+        self.extent_ = extent;
+        return self;
+    });
+};
 
-    // Context panel (zoomed out).
-    var context = contextRoot.add(pv.Panel)
-      .data(this.series);
+/**
+ * Returns the {@link DataProvider} this Series is backed by, if any.
+ *
+ * @return {DataProvider} the provider or null.
+ */
+Series.prototype.getDataProvider = function() {
+    return this.provider_;
+};
 
-    // X-axis ticks.
-    contextRoot.add(pv.Rule)
-      .data(config.x.ticks())
-      .left(config.x)
-      .strokeStyle(config.colors.xTickRulers)
-      .anchor('bottom')
-      .add(pv.Label)
-      .text(config.x.tickFormat);
+/**
+ * Returns the last failed fetch from the DataProvider of this Series.
+ *
+ * @return {?MegaSeriesError} the error, null if no fetch failed.
+ */
+Series.prototype.getLastError = function() {
+    return this.lastError_;
+};
 
-    // Y-axis ticks.
-    contextRoot.add(pv.Rule)
-      .bottom(0);
+/**
+ * Returns the part of the provided data between start and end from the
+ * window fetched last. If that window does not cover the range at the wanted
+ * resolution, a window twice as wide is fetched, so that small pans do not
+ * need another fetch, and the stale data is returned in the meantime.
+ *
+ * @param {number|Date}
+ *            start the lower x bound.
+ * @param {number|Date}
+ *            end the upper x bound.
+ * @param {number}
+ *            minPoints the minimum number of points wanted in the range.
+ * @return {Object} list of xy values or aggregates <b>sorted</b> in X order.
+ * @private
+ */
+Series.prototype.getProvidedRange_ = function(start, end, minPoints) {
+    start = +start;
+    end = +end;
+    if (!Series.covers_(this.window_, start, end, minPoints) &&
+            !Series.covers_(this.pending_, start, end, minPoints)) {
+        var span = end - start;
+        var request = this.pending_ = {
+            start: start - span / 2,
+            end: end + span / 2,
+            resolution: 2 * minPoints,
+            data: null
+        };
+        var self = this;
+        this.provider_.fetchRange(request.start, request.end,
+                request.resolution).then(function(data) {
+            // ignore the response if a newer request was made meanwhile.
+            if (self.pending_ == request) {
+                request.data = data;
+                self.window_ = request;
+                self.pending_ = null;
+                self.notifyDataChange_();
+            }
+        }).catch(function(e) {
+            // the next render asks for the window again.
+            if (self.pending_ == request) {
+                self.pending_ = null;
+            }
+            self.reportFetchError_('a range', e);
+        });
+    }
+    if (!this.window_) {
+        return [];
+    }
+    var data = this.window_.data;
+    var getX = function(d) {
+        return +d.x;
+    };
+    var lo = pv.search.index(data, start, getX);
+    var hi = pv.search.index(data, end, getX);
+    return data.slice(Math.max(0, lo - 1), hi + 1);
+};
 
-    // pointer to the selected point on the canvas
-    config.p = -1;
+/**
+ * Reports a failed fetch from the DataProvider to the error handler of this
+ * Series, if there is one, and keeps it for getLastError(). It is never
+ * thrown, nothing would catch it.
+ *
+ * @param {string}
+ *            what what was being fetched, for the error message.
+ * @param {*}
+ *            error the reason the fetch failed.
+ * @private
+ */
+Series.prototype.reportFetchError_ = function(what, error) {
+    var fetchError = this.lastError_ = Series.fetchError_(this, what, error);
+    if (this.errorHandler) {
+        this.errorHandler(fetchError);
+    }
+};
 
-    // Context area chart.
-    context.add(pv.Area)
-      .data(function(d) {
-          return d.getXYData();
-      })
-      .left(function(d) {
-          return config.x(d.x);
-      })
-      .bottom(1)
-      .height(function(d) {
-          return config.y(d.y);
-      })
-      .fillStyle(function() {
-          var color = pv.Colors.category10().range()[this.parent.index];
-          color.opacity = .1;
-          return color;
-      })
-      .overflow('hidden')
-       .anchor('top')
-       .add(pv.Line)
-       .strokeStyle(function() {
-         return pv.Colors.category10().range()[this.parent.index];
-       })
-       .lineWidth(1);
+/**
+ * Returns the {@link MegaSeriesError} for a failed fetch from the
+ * DataProvider of a Series.
+ *
+ * @param {Series}
+ *            series the Series.
+ * @param {string}
+ *            what what was being fetched.
+ * @param {*}
+ *            error the reason the fetch failed.
+ * @return {MegaSeriesError} the error.
+ * @private
+ */
+Series.fetchError_ = function(series, what, error) {
+    return new MegaSeriesError('Fetching ' + what + ' of series "' +
+            series.name + '" failed: ' + (error && error.message || error));
+};
 
-    // The selectable, draggable focus region.
-    var footerfocus = contextRoot.add(pv.Panel)
-      .data([config.i])
-      .cursor('crosshair')
-      .events('all')
-      .event('mousedown', pv.Behavior.select())
-      .event('selectend', focus);
+/**
+ * Returns whether the fetched (or requested) window covers the range with at
+ * least the given number of points.
+ *
+ * @param {Object}
+ *            range dictionary in the form of {start:, end:, resolution:,
+ *            data:}, data being null while the request is pending.
+ * @param {number}
+ *            start the lower x bound.
+ * @param {number}
+ *            end the upper x bound.
+ * @param {number}
+ *            minPoints the minimum number of points wanted in the range.
+ * @return {boolean} whether the window can be used for the range.
+ * @private
+ */
+Series.covers_ = function(range, start, end, minPoints) {
+    if (!range || start < range.start || end > range.end) {
+        return false;
+    }
+    // fewer points than asked for means there is no finer data.
+    if (range.data && range.data.length < range.resolution) {
+        return true;
+    }
+    var fraction = (end - start) / ((range.end - range.start) || 1);
+    return range.resolution * fraction >= minPoints;
+};
 
-    footerfocus.add(pv.Bar)
-      .left(function(d) {
-          return d.x;
-      })
-      .width(function(d) {
-          return d.dx;
-      })
-      .fillStyle(config.colors.contextSelectBox)
-      .cursor('move')
-      .event('mousedown', pv.Behavior.drag())
-      .event('dragend', focus);
+/**
+ * Calls the dataChangeHandler, if any.
+ *
+ * @private
+ */
+Series.prototype.notifyDataChange_ = function() {
+    if (this.dataChangeHandler) {
+        this.dataChangeHandler();
+    }
+};
 
-    // finally, render the entire widget.
-    vis.render();
+/**
+ * Returns the XY data for this Series. This is a view made from the columns
+ * on the first call after the data changed, so it should be treated as read
+ * only and avoided on very large Series. For a Series backed by a
+ * {@link DataProvider} this is the window of data fetched last.
+ *
+ * @return {List} a list of dictionaries in the form of {x: NUMBER, y: NUMBER},
+ *            with lower: and upper: if the Series has an error band.
+ */
+Series.prototype.getXYData = function() {
+    if (this.provider_) {
+        return this.window_ ? this.window_.data : [];
+    }
+    if (!this.size_) {
+        return [];
+    }
+    if (!this.view_) {
+        this.view_ = this.toPoints_(0, this.offset_,
+                this.offset_ + this.size_);
+    }
+    return this.view_;
 };
 
 /**
- * Transforms location on the canvas to an interval in each Series and returns
- * that part of the Series.
+ * Sets options dictionary for this specific Series.
  *
- * @param {Object} 
- *            config Config object that keeps track of state.
- * @param {Series}
- *            series Series object to be transformed.
- * @return {Object} list of xy values corresponding to the output of the
- *            transformation.
- * @private
+ * @param {Object} options options dictionary to be set on the series.
  */
-MegaSeries.prototype.transformSeries_ = function(config, series) {
-    var d1 = config.x.invert(config.i.x),
-        d2 = config.x.invert(config.i.x + config.i.dx),
-        dd = series.slice(Math.max(0, pv.search.index(series, d1, function(d) {
-                return d.x;
-            }) - 1), pv.search.index(series, d2, function(d) {
-        return d.x;
-    }) + 1);
-    config.fx.domain(d1, d2);
-    config.zoomstart = config.i.x;
-    config.zoomend = config.i.x + config.i.dx;
-    config.dd = dd;
-    return dd;
+Series.prototype.setOptions = function(options) {
+    if (options != undefined) {
+        // Styles, the colors default to the palette of the MegaSeries.
+        this.strokeColor = options.strokeColor;
+        this.fillColor = options.fillColor;
+        this.fillOpacity = options.fillOpacity;
+        this.lineWidth = options.lineWidth || 1;
+        // SVG dash pattern of the line, e.g. '4,2' or [4, 2].
+        this.dash = options.dash instanceof Array ?
+                options.dash.join(',') : options.dash;
+        // Shape of the hover and legend markers, one of the pv.Dot shapes.
+        this.marker = options.marker || 'circle';
+        // Whether the area under the line is filled.
+        this.showArea = options.showArea != false;
+        // Color of the error band, defaults to the stroke color.
+        this.errorBand = options.errorBand;
+        // Downsampling overrides, see MegaSeries.Downsample.
+        this.downsample = options.downsample;
+        this.pointsPerPixel = options.pointsPerPixel;
+        // See MegaSeries.RenderMode.
+        this.renderMode = options.renderMode || MegaSeries.RenderMode.LINE;
+        // See MegaSeries.UnsortedData.
+        this.unsorted = options.unsorted || MegaSeries.UnsortedData.SORT;
+        // Name of the y axis the Series is drawn against, see the axes
+        // entry of the MegaSeries config.
+        this.axis = options.axis || 'left';
+        // See MegaSeries.AnnotationPlacement, or a fixed y value.
+        this.annotationPlacement = options.annotationPlacement == undefined ?
+                MegaSeries.AnnotationPlacement.NEAREST :
+                options.annotationPlacement;
+    }
 };
 
 /**
- * Constructor for the {@link Series} object. A Series is a data structure that
- * represents a Series in a MegaSeries. Each Series appearance can be controlled
- * by setting its options by passing a dictionary of options here or by calling
- * .setOption(options) on the series after it is created.
+ * Interface for the source of the data of a {@link Series} that is not kept
+ * in memory as a whole. See {@link MemoryDataProvider} for the reference
+ * implementation. X bounds are passed as numbers (milliseconds for Date x
+ * values).
+ *
+ * @interface
+ */
+DataProvider = function() {};
+
+/**
+ * Returns the bounds of the data.
+ *
+ * @return {Promise} resolved with a dictionary in the form of {start:, end:,
+ *            minY:, maxY:}.
+ */
+DataProvider.prototype.getExtent = function() {};
+
+/**
+ * Fetches the data between start and end, plus one point on either side.
+ * Ranges holding more than resolution points can be returned aggregated, as
+ * {x:, y:, min:, max:, count:} dictionaries with y being the mean, as long as
+ * at least resolution entries are returned. Points of data with an error band
+ * also have lower: and upper: bounds, the outer ones for aggregates.
+ *
+ * @param {number}
+ *            start the lower x bound.
+ * @param {number}
+ *            end the upper x bound.
+ * @param {number}
+ *            resolution the minimum number of points wanted in the range.
+ * @return {Promise} resolved with a list of xy values or aggregates
+ *            <b>sorted</b> in X order.
+ */
+DataProvider.prototype.fetchRange = function(start, end, resolution) {};
+
+/**
+ * Constructs a {@link DataProvider} serving the given XY data from memory,
+ * using the pyramid of a {@link Series} to aggregate it.
  *
- * @param {String}
- *            name the String name for this series.
  * @param {Object}
  *            xydict a list of dictionaries in the form of {x: NUMBER, y:
  *            NUMBER} <b>sorted</b> in X order.
- * @param {Object}
- *            annotations dictionary containing {x: , title: , description: , }.
- * @param {Object}
- *            options a dictionary containing the options for this Series.
  * @constructor
+ * @implements {DataProvider}
  */
-Series = function(name, xydict, annotations, options) {
-    this.name = name;
-    this.setXYData(xydict);
-    this.setAnnotations(annotations);
-    this.setOptions(options);
+MemoryDataProvider = function(xydict) {
+    this.series_ = new Series('', xydict);
+};
+
+/** @inheritDoc */
+MemoryDataProvider.prototype.getExtent = function() {
+    return Promise.resolve(this.series_.getExtent());
+};
+
+/** @inheritDoc */
+MemoryDataProvider.prototype.fetchRange = function(start, end, resolution) {
+    return Promise.resolve(this.series_.getRange(start, end, resolution));
 };
 
 /**
- * Adds an annotations dictionary to this Series by looking up the Y values for
- * the annotations. The Y value lookup is currently on an exact match basis,
- * therefore one needs to make sure that the specified x values for the
- * annotations actually corresponts to a Y value in the xy values for the
- * Sereis.
+ * Constructs a {@link DataProvider} that keeps the XY data in a Web Worker, as
+ * columnar Float64Arrays transferred to it without copying. Sorting, the min
+ * and max scan and the slicing and aggregation of fetched ranges all run in
+ * the Worker, so they don't block mouse interaction on very large Series.
  *
  * @param {Object}
- *            annotations dictionary containing {x: , title: , description: , }.
+ *            data either a list of dictionaries in the form of {x: NUMBER, y:
+ *            NUMBER}, or columns in the form of {x: Float64Array, y:
+ *            Float64Array, dates: BOOLEAN}, with an optional error band as
+ *            accepted by {@link Series#setXYData}. The arrays of the columns
+ *            are transferred to the Worker and can't be used afterwards. Data
+ *            doesn't have to be sorted.
+ * @throws {MegaSeriesError} if the data is invalid or has no points.
+ * @constructor
+ * @implements {DataProvider}
  */
-Series.prototype.setAnnotations = function(annotations) {
-    xydata = this.getXYData();
-    // fill up the y value for annotations.
-    if (annotations != undefined) {
-        if (xydata) {
-            var size = annotations.length;
-            for (var i = 0; i < size; i++) {
-                // binary search in sorted array - O(log(n))
-                var index = pv.search.index(xydata, annotations[i].x, function(
-                        d) {
-                    return d.x;
-                });
-                annotations[i].y = xydata[index].y;
-            }
+WorkerDataProvider = function(data) {
+    // the Worker sorts the data, so only validate it here.
+    var columns = Series.toColumns_(data);
+    if (!columns.x.length) {
+        throw new MegaSeriesError('The XY data has no points.');
+    }
+    this.dates_ = columns.dates;
+
+    this.requests_ = {};
+    this.lastId_ = 0;
+    this.worker_ = new Worker(WorkerDataProvider.getScriptUrl_());
+    var self = this;
+    this.worker_.onmessage = function(e) {
+        var request = self.requests_[e.data.id];
+        if (!request) {
+            return;
+        }
+        delete self.requests_[e.data.id];
+        if (e.data.error) {
+            request.reject(new MegaSeriesError(e.data.error));
         } else {
-            throw ('XY data has to be set before annotations.');
+            request.resolve(e.data);
         }
-        this.annotations = annotations;
+    };
+    // without a response, every pending request would wait forever.
+    this.worker_.onerror = function(e) {
+        e.preventDefault();
+        self.rejectAll_('The data Worker failed: ' + e.message);
+    };
+    this.worker_.onmessageerror = function() {
+        self.rejectAll_('A message of the data Worker could not be read.');
+    };
+    var message = {type: 'load', x: columns.x, y: columns.y};
+    var transfer = [columns.x.buffer, columns.y.buffer];
+    if (columns.lower) {
+        message.lower = columns.lower;
+        message.upper = columns.upper;
+        transfer.push(columns.lower.buffer, columns.upper.buffer);
     }
+    this.extent_ = this.request_(message, transfer);
+};
+
+/** @inheritDoc */
+WorkerDataProvider.prototype.getExtent = function() {
+    var dates = this.dates_;
+    return this.extent_.then(function(extent) {
+        return {
+            start: dates ? new Date(extent.start) : extent.start,
+            end: dates ? new Date(extent.end) : extent.end,
+            minY: extent.minY,
+            maxY: extent.maxY
+        };
+    });
+};
+
+/** @inheritDoc */
+WorkerDataProvider.prototype.fetchRange = function(start, end, resolution) {
+    var dates = this.dates_;
+    return this.request_({
+        type: 'fetch',
+        start: start,
+        end: end,
+        resolution: resolution
+    }).then(function(columns) {
+        // only about resolution entries come back, so objects are cheap here.
+        var data = [];
+        for (var i = 0; i < columns.x.length; i++) {
+            var x = dates ? new Date(columns.x[i]) : columns.x[i];
+            var point;
+            if (columns.count) {
+                point = {
+                    x: x,
+                    y: columns.y[i],
+                    min: columns.min[i],
+                    max: columns.max[i],
+                    count: columns.count[i]
+                };
+            } else {
+                point = {x: x, y: columns.y[i]};
+            }
+            if (columns.lower) {
+                point.lower = columns.lower[i];
+                point.upper = columns.upper[i];
+            }
+            data.push(point);
+        }
+        return data;
+    });
 };
 
 /**
- * Returns the annotations object for this Series.
+ * Stops the Worker. The provider can't be used afterwards.
+ */
+WorkerDataProvider.prototype.dispose = function() {
+    this.worker_.terminate();
+    this.rejectAll_('The data Worker was disposed.');
+};
+
+/**
+ * Rejects all the pending requests to the Worker.
  *
- * @return {Objecy} dictionary containing annotations.
+ * @param {string}
+ *            message the message of the {@link MegaSeriesError} they are
+ *            rejected with.
+ * @private
  */
-Series.prototype.getAnnotations = function() {
-    return this.annotations;
+WorkerDataProvider.prototype.rejectAll_ = function(message) {
+    var requests = this.requests_;
+    this.requests_ = {};
+    for (var id in requests) {
+        requests[id].reject(new MegaSeriesError(message));
+    }
 };
 
 /**
- * Sets the XY data for this Series.
+ * Posts a message to the Worker and returns a Promise for its response.
  *
- * @param {Object} xydict
- *            a list of dictionaries in the form of {x: NUMBER, y: NUMBER}
- *            <b>sorted</b> in X order.
+ * @param {Object}
+ *            message the message, an id is added to it.
+ * @param {Array}
+ *            opt_transfer the buffers to transfer to the Worker.
+ * @return {Promise} resolved with the response of the Worker, or rejected
+ *            with a {@link MegaSeriesError} if the Worker fails to answer.
+ * @private
  */
-Series.prototype.setXYData = function(xydict) {
-    this.xydict = xydict;
+WorkerDataProvider.prototype.request_ = function(message, opt_transfer) {
+    var id = message.id = ++this.lastId_;
+    var requests = this.requests_;
+    var promise = new Promise(function(resolve, reject) {
+        requests[id] = {resolve: resolve, reject: reject};
+    });
+    this.worker_.postMessage(message, opt_transfer || []);
+    return promise;
 };
 
 /**
- * Returns the XY data for this Series.
+ * Returns the URL of the Worker script, made from the source of
+ * WorkerDataProvider.worker_ so that no separate file has to be served.
  *
- * @return {List} a list of dictionaries in the form of {x: NUMBER, y: NUMBER}.
+ * @return {string} the object URL of the script.
+ * @private
  */
-Series.prototype.getXYData = function() {
-    return this.xydict;
+WorkerDataProvider.getScriptUrl_ = function() {
+    if (!WorkerDataProvider.scriptUrl_) {
+        var source = '(' + WorkerDataProvider.worker_.toString() + ')();';
+        WorkerDataProvider.scriptUrl_ = URL.createObjectURL(
+                new Blob([source], {type: 'application/javascript'}));
+    }
+    return WorkerDataProvider.scriptUrl_;
 };
 
 /**
- * Sets options dictionary for this specific Series.
+ * The body of the Worker script. It runs in the Worker, so it can't use
+ * anything else in this file nor Protovis.
  *
- * TODO(akiani): expand the list of possible options to give more granular
- * control over each series appearance.
+ * Messages are {id:, type: 'load', x:, y:, lower:, upper:}, answered with the
+ * extent of the data, and {id:, type: 'fetch', start:, end:, resolution:},
+ * answered with columns of the range: x and y for raw points, plus min, max
+ * and count when the range is aggregated into buckets of equal point counts,
+ * and lower and upper if the data has an error band. A message that can't be
+ * handled is answered with {id:, error:}, error being the reason.
  *
- * @param {Object} options options dictionary to be set on the series.
+ * @private
  */
-Series.prototype.setOptions = function(options) {
-    if (options != undefined) {
-        this.strokeColor = options.strokeColor || '#000';
-        this.fillColor = options.fillColor || '#000';
-        this.errorBand = options.errorBand || '#000';
-    }
+WorkerDataProvider.worker_ = function() {
+    var xs, ys, lowers, uppers;
+
+    // index of the first x not less than value.
+    var search = function(value) {
+        var lo = 0, hi = xs.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (xs[mid] < value) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    };
+
+    var load = function(message) {
+        xs = message.x;
+        ys = message.y;
+        lowers = message.lower;
+        uppers = message.upper;
+        var size = xs.length;
+        var sorted = true;
+        for (var i = 1; i < size && sorted; i++) {
+            sorted = xs[i - 1] <= xs[i];
+        }
+        if (!sorted) {
+            var order = [];
+            for (var i = 0; i < size; i++) {
+                order.push(i);
+            }
+            order.sort(function(a, b) {
+                return xs[a] - xs[b];
+            });
+            var permute = function(column) {
+                var sorted = new Float64Array(size);
+                for (var i = 0; i < size; i++) {
+                    sorted[i] = column[order[i]];
+                }
+                return sorted;
+            };
+            xs = permute(xs);
+            ys = permute(ys);
+            if (lowers) {
+                lowers = permute(lowers);
+                uppers = permute(uppers);
+            }
+        }
+        var minY = Infinity, maxY = -Infinity;
+        for (var i = 0; i < size; i++) {
+            var low = lowers ? Math.min(ys[i], lowers[i]) : ys[i];
+            var high = uppers ? Math.max(ys[i], uppers[i]) : ys[i];
+            if (low < minY) {
+                minY = low;
+            }
+            if (high > maxY) {
+                maxY = high;
+            }
+        }
+        return {
+            start: xs[0],
+            end: xs[size - 1],
+            minY: minY,
+            maxY: maxY
+        };
+    };
+
+    var fetchRange = function(message) {
+        var lo = Math.max(0, search(message.start) - 1);
+        var hi = Math.min(xs.length, search(message.end) + 1);
+        var count = hi - lo;
+        var columns;
+        if (!(count > message.resolution)) {
+            columns = {x: xs.slice(lo, hi), y: ys.slice(lo, hi)};
+            if (lowers) {
+                columns.lower = lowers.slice(lo, hi);
+                columns.upper = uppers.slice(lo, hi);
+            }
+        } else {
+            var bucketSize = Math.floor(count / message.resolution);
+            var buckets = Math.ceil(count / bucketSize);
+            columns = {
+                x: new Float64Array(buckets),
+                y: new Float64Array(buckets),
+                min: new Float64Array(buckets),
+                max: new Float64Array(buckets),
+                count: new Float64Array(buckets)
+            };
+            if (lowers) {
+                columns.lower = new Float64Array(buckets);
+                columns.upper = new Float64Array(buckets);
+            }
+            for (var b = 0; b < buckets; b++) {
+                var first = lo + b * bucketSize;
+                var last = Math.min(first + bucketSize, hi);
+                var sum = 0, min = Infinity, max = -Infinity;
+                var lower = Infinity, upper = -Infinity;
+                for (var i = first; i < last; i++) {
+                    sum += ys[i];
+                    if (ys[i] < min) {
+                        min = ys[i];
+                    }
+                    if (ys[i] > max) {
+                        max = ys[i];
+                    }
+                    if (lowers && lowers[i] < lower) {
+                        lower = lowers[i];
+                    }
+                    if (uppers && uppers[i] > upper) {
+                        upper = uppers[i];
+                    }
+                }
+                columns.x[b] = xs[first];
+                columns.y[b] = sum / (last - first);
+                columns.min[b] = min;
+                columns.max[b] = max;
+                columns.count[b] = last - first;
+                if (lowers) {
+                    columns.lower[b] = lower;
+                    columns.upper[b] = upper;
+                }
+            }
+        }
+        var transfer = [];
+        for (var name in columns) {
+            transfer.push(columns[name].buffer);
+        }
+        return {columns: columns, transfer: transfer};
+    };
+
+    self.onmessage = function(e) {
+        var message = e.data;
+        try {
+            if (message.type == 'load') {
+                var extent = load(message);
+                extent.id = message.id;
+                self.postMessage(extent);
+            } else if (message.type == 'fetch') {
+                if (!xs) {
+                    throw new Error('No data was loaded.');
+                }
+                var response = fetchRange(message);
+                response.columns.id = message.id;
+                self.postMessage(response.columns, response.transfer);
+            } else {
+                throw new Error('Unknown message type "' + message.type +
+                        '".');
+            }
+        } catch (error) {
+            self.postMessage({
+                id: message.id,
+                error: 'The data Worker failed: ' + (error && error.message)
+            });
+        }
+    };
 };